@@ -2,7 +2,14 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { promisify } = require('util');
 const dotenv = require('dotenv');
+// qrcode (company link QR codes) and sharp (image uploads) are only loaded
+// when first used, so the server starts without them. To enable both:
+//   npm install qrcode sharp
 
 dotenv.config();
 
@@ -10,21 +17,89 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/nye-voting';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'nye2025';
 
-app.use(cors());
+// Rate limits are keyed by client IP. Behind a reverse proxy, set
+// TRUST_PROXY so req.ip is the visitor's address rather than the proxy's:
+// either the number of proxies in front of the app (e.g. "1") or a
+// comma-separated list of proxy addresses and subnets (e.g.
+// "loopback, 10.0.0.0/8"). Other values such as "true" are refused, since
+// trusting every hop lets clients choose their IP with X-Forwarded-For.
+const TRUST_PROXY_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+function parseTrustProxy(value) {
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+
+  const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+  const valid = entries.length > 0 && entries.every(entry => {
+    if (TRUST_PROXY_NAMES.includes(entry)) {
+      return true;
+    }
+
+    const [address, prefix, ...rest] = entry.split('/');
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) {
+      return false;
+    }
+
+    return prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128));
+  });
+
+  return valid ? entries : null;
+}
+
+if (process.env.TRUST_PROXY) {
+  const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+  if (trustProxy === null) {
+    console.error(`❌ TRUST_PROXY must be a hop count or a list of proxy addresses and subnets, got "${process.env.TRUST_PROXY}"`);
+    process.exit(1);
+  }
+  app.set('trust proxy', trustProxy);
+}
+
+app.use(cors({ exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] }));
 app.use(express.json());
 
 // MongoDB Schema Definitions
 const companySchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true, index: true },
   name: { type: String, required: true },
+  // normalizeCompanyName(name), kept unique so no two companies share a name
+  nameKey: { type: String, unique: true, sparse: true },
+  // Readable stand-in for the id in voting and results links
+  slug: { type: String, unique: true, sparse: true },
+  // Expected number of voters, used for participation rates
+  headcount: { type: Number, min: 1 },
   createdAt: { type: Date, default: Date.now }
 });
 
+companySchema.pre('validate', function (next) {
+  if (this.name) {
+    this.nameKey = normalizeCompanyName(this.name);
+  }
+  next();
+});
+
+const SECTION_TYPES = ['single-select', 'multi-select', 'text-input', 'ranked-choice', 'rating', 'scale'];
+const OPTION_SECTION_TYPES = ['single-select', 'multi-select', 'ranked-choice', 'rating'];
+
+// Upper bound on the number of points a rating/scale section can have
+const MAX_SCALE_POINTS = 101;
+
+// How text-input answers reach the results:
+//   auto      - published as soon as they are submitted
+//   hold      - every answer waits for an admin to approve it
+//   blocklist - published unless it contains a blocked term, then held
+const MODERATION_MODES = ['auto', 'hold', 'blocklist'];
+const DEFAULT_TEXT_MAX_LENGTH = 500;
+const MAX_TEXT_MAX_LENGTH = 5000;
+
 const optionSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  imageUrl: { type: String }
+  imageUrl: { type: String },
+  // Uploaded image (ImageAsset id); pages prefer it over imageUrl
+  imageId: { type: String }
 }, { _id: false });
 
 const sectionSchema = new mongoose.Schema({
@@ -33,35 +108,388 @@ const sectionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['single-select', 'multi-select', 'text-input']
+    enum: SECTION_TYPES
   },
   required: { type: Boolean, default: true },
   options: [optionSchema],
   minSelections: { type: Number, default: 1 },
-  maxSelections: { type: Number, default: 1 }
+  maxSelections: { type: Number, default: 1 },
+  // ranked-choice: voters must order every option instead of just their favourites
+  requireFullRanking: { type: Boolean, default: false },
+  // rating (one score per option) and scale (a single score): allowed values
+  scaleMin: { type: Number, default: 1 },
+  scaleMax: { type: Number, default: 5 },
+  scaleStep: { type: Number, default: 1 },
+  // text-input: longest accepted answer, moderation mode and blocked terms
+  maxLength: { type: Number, default: DEFAULT_TEXT_MAX_LENGTH },
+  moderation: { type: String, enum: MODERATION_MODES, default: 'auto' },
+  blocklist: { type: [String], default: undefined }
+}, { _id: false });
+
+// How often one device may vote in a session:
+//   cooldown - again after cooldownMinutes
+//   once     - a single ballot per device
+//   update   - a single ballot per device that can be resubmitted to replace it
+const VOTE_POLICY_MODES = ['cooldown', 'once', 'update'];
+const DEFAULT_COOLDOWN_MINUTES = 180;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+const votePolicySchema = new mongoose.Schema({
+  mode: { type: String, enum: VOTE_POLICY_MODES, default: 'cooldown' },
+  cooldownMinutes: { type: Number, default: DEFAULT_COOLDOWN_MINUTES }
+}, { _id: false });
+
+// Snapshot of a session's definition before it was edited
+const sessionVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  title: { type: String, required: true },
+  sections: [sectionSchema],
+  replacedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Who can see a session's results:
+//   public      - anyone, live while voting is open
+//   after-close - anyone, once voting has closed
+//   admin       - signed-in admins only
+// Organizer links are issued by admins and are not restricted by this.
+const RESULTS_VISIBILITIES = ['public', 'after-close', 'admin'];
+
+// Progress of an admin-driven results reveal. Steps walk through the option
+// sections in order: a title card, then the top places from last to first.
+const revealSchema = new mongoose.Schema({
+  active: { type: Boolean, default: false },
+  step: { type: Number, default: 0 },
+  places: { type: Number, default: 3 },
+  startedAt: { type: Date },
+  updatedAt: { type: Date }
 }, { _id: false });
 
-// Global voting session (only one active at a time)
+// How a tie for first place is settled when results are certified:
+//   admin    - an admin picks the winner from the tied options
+//   earliest - the tied option that reached its final count first wins
+//   runoff   - a follow-up session between the tied options decides
+const TIE_BREAK_RULES = ['admin', 'earliest', 'runoff'];
+
+// Voting session; several can be active at once, each open to every company
+// or only to the companies listed in companyIds
 const votingSessionSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true, index: true },
   title: { type: String, required: true },
   sections: [sectionSchema],
+  version: { type: Number, default: 1 },
+  history: [sessionVersionSchema],
   isActive: { type: Boolean, default: true },
+  allCompanies: { type: Boolean, default: true },
+  companyIds: { type: [String], default: [], index: true },
+  opensAt: { type: Date },
+  closesAt: { type: Date },
+  // Every ballot must carry an unused access code issued to the voter's company
+  requireAccessCode: { type: Boolean, default: false },
+  votePolicy: { type: votePolicySchema, default: () => ({}) },
+  resultsVisibility: { type: String, enum: RESULTS_VISIBILITIES, default: 'public' },
+  reveal: { type: revealSchema, default: () => ({}) },
+  tieBreak: { type: String, enum: TIE_BREAK_RULES, default: 'admin' },
+  // Runoff sessions point at the session whose tie they settle, and back
+  runoffOf: { type: String },
+  runoffSessionId: { type: String },
+  // Set while the certified final results are public
+  finalResultsPublishedAt: { type: Date },
+  talliesBuiltAt: { type: Date },
+  tallyFormat: { type: Number },
+  // Tally generation results are read from, and the rebuild counting a
+  // replacement for it (see rebuildTallies)
+  tallyGeneration: { type: String },
+  tallyRebuild: {
+    type: new mongoose.Schema({
+      generation: { type: String, required: true },
+      lockedUntil: { type: Date, required: true }
+    }, { _id: false }),
+    default: undefined
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const MODERATION_PAGE_SIZE = 200;
+
+const textModerationSchema = new mongoose.Schema({
+  status: { type: String, enum: MODERATION_STATUSES, required: true },
+  // Replacement shown in results when an admin edited the answer
+  text: { type: String },
+  flaggedTerms: { type: [String], default: undefined },
+  moderatedBy: { type: String },
+  moderatedAt: { type: Date }
+}, { _id: false });
+
 const voteSchema = new mongoose.Schema({
   votingSessionId: { type: String, required: true, index: true },
   companyId: { type: String, required: true, index: true },
   votes: { type: Map, of: mongoose.Schema.Types.Mixed },
+  // Session version the ballot was cast under
+  sessionVersion: { type: Number, default: 1 },
   timestamp: { type: Date, default: Date.now },
+  // Set when the voter replaced this ballot under the "update" policy
+  updatedAt: { type: Date },
   ipAddress: { type: String },
-  deviceId: { type: String, index: true }
+  deviceId: { type: String, index: true },
+  // Set when an admin excludes the ballot from results after a fraud review.
+  // The ballot is kept so the decision can be reviewed or reversed.
+  invalidatedAt: { type: Date, default: null },
+  invalidatedBy: { type: String },
+  invalidationReason: { type: String },
+  // Moderation state of each text-input answer, keyed by section id. Ballots
+  // from before moderation existed have none and count as approved.
+  moderation: { type: Map, of: textModerationSchema },
+  // Set on ballots cast under the "once" and "update" policies, which allow
+  // one such ballot per device and session (enforced by a unique index)
+  onePerDevice: { type: Boolean },
+  // Tally generations that count this ballot, and a counter bumped whenever
+  // what it counts for changes, so each generation counts it exactly once
+  countedIn: { type: [String], default: [] },
+  tallyRevision: { type: Number, default: 0 },
+  // Marks the ballots a rebuild batch claimed
+  tallyClaim: { type: String }
+});
+
+// Lets exports walk a session's ballots in order, and the text response feed
+// page through them newest first, without an in-memory sort
+voteSchema.index({ votingSessionId: 1, timestamp: -1, _id: -1 });
+voteSchema.index(
+  { votingSessionId: 1, deviceId: 1 },
+  { unique: true, partialFilterExpression: { onePerDevice: true } }
+);
+
+// Pre-aggregated vote counters, one per session/generation/company/section/option.
+// Counters without a sectionId hold the company's ballot count (option null)
+// and its ballot count per session version (option "version:<n>").
+const tallySchema = new mongoose.Schema({
+  votingSessionId: { type: String, required: true },
+  generation: { type: String },
+  companyId: { type: String, required: true },
+  sectionId: { type: String, default: null },
+  option: { type: String, default: null },
+  count: { type: Number, default: 0 }
 });
 
+tallySchema.index({ votingSessionId: 1, generation: 1, companyId: 1, sectionId: 1, option: 1 }, { unique: true });
+tallySchema.index({ companyId: 1 });
+
 const Company = mongoose.model('Company', companySchema);
 const VotingSession = mongoose.model('VotingSession', votingSessionSchema);
 const Vote = mongoose.model('Vote', voteSchema);
+const Tally = mongoose.model('Tally', tallySchema);
+
+// Single-use voter code, issued in batches per session and company. Codes are
+// not linked to the ballot they were redeemed with, so ballots stay anonymous.
+const accessCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  votingSessionId: { type: String, required: true },
+  companyId: { type: String, required: true },
+  batchId: { type: String, required: true },
+  redeemedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+accessCodeSchema.index({ votingSessionId: 1, companyId: 1 });
+accessCodeSchema.index({ batchId: 1 });
+
+const AccessCode = mongoose.model('AccessCode', accessCodeSchema);
+
+// Admin account. Invited admins have no password until they accept the invite.
+const adminUserSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, index: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true },
+  role: { type: String, enum: ['owner', 'manager', 'viewer'], required: true },
+  status: { type: String, enum: ['invited', 'active'], default: 'invited' },
+  passwordHash: { type: String },
+  inviteTokenHash: { type: String, index: true },
+  inviteExpiresAt: { type: Date },
+  invitedBy: { type: String },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Logged-in admin; Mongo removes it once expiresAt passes
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
+
+// Link giving a company's organizer read-only access to that company's data.
+// Only a hash of the link token is stored; the token itself is shown once.
+const organizerLinkSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, index: true },
+  companyId: { type: String, required: true, index: true },
+  label: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date },
+  revokedAt: { type: Date, default: null },
+  createdBy: { type: String },
+  lastUsedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const OrganizerLink = mongoose.model('OrganizerLink', organizerLinkSchema);
+
+// Deleted companies and sessions, and the ballots removed by a reset, are
+// moved here instead of being destroyed. An archive keeps a snapshot of the
+// removed document and can be restored until purgeAfter, when it is purged.
+const archiveSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, index: true },
+  kind: { type: String, enum: ['company', 'session', 'reset'], required: true },
+  label: { type: String, required: true },
+  companyId: { type: String, index: true },
+  votingSessionId: { type: String, index: true },
+  snapshot: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Sessions a deleted company was assigned to, so the assignment comes back on restore
+  sessionIds: { type: [String], default: [] },
+  // Access codes a reset released, so they count as redeemed again on restore
+  accessCodes: { type: [String], default: [] },
+  voteCount: { type: Number, default: 0 },
+  archivedBy: { id: String, email: String },
+  archivedAt: { type: Date, default: Date.now },
+  purgeAfter: { type: Date, required: true, index: true }
+});
+
+// A ballot moved out of the Vote collection, stored as it was
+const archivedVoteSchema = new mongoose.Schema({
+  archiveId: { type: String, required: true, index: true },
+  votingSessionId: { type: String, required: true, index: true },
+  companyId: { type: String, required: true },
+  vote: { type: mongoose.Schema.Types.Mixed, required: true }
+});
+
+const Archive = mongoose.model('Archive', archiveSchema);
+const ArchivedVote = mongoose.model('ArchivedVote', archivedVoteSchema);
+
+// Request counters for the shared ("mongo") rate limit store
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+// Append-only record of admin actions. Entries are written once and never
+// edited or removed, so the model refuses updates and deletes.
+const auditLogSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  at: { type: Date, default: Date.now, index: true },
+  action: { type: String, required: true, index: true },
+  actor: {
+    type: { type: String, enum: ['admin', 'organizer', 'system', 'anonymous'], default: 'admin' },
+    id: { type: String, index: true },
+    name: String,
+    email: String,
+    role: String
+  },
+  target: {
+    type: { type: String, index: true },
+    id: { type: String, index: true },
+    label: String
+  },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  ipAddress: String
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove']
+  .forEach(operation => {
+    auditLogSchema.pre(operation, function (next) {
+      next(new Error('Audit log entries cannot be changed'));
+    });
+  });
+
+auditLogSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Audit log entries cannot be changed'));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Certified final results of a session, frozen when an admin certifies them.
+// The payload is stored as the exact canonical JSON that was signed, and like
+// audit entries a snapshot can never be changed or removed.
+const finalResultsSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  votingSessionId: { type: String, required: true, unique: true },
+  payload: { type: String, required: true },
+  payloadHash: { type: String, required: true },
+  signature: { type: String, required: true },
+  keyId: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove']
+  .forEach(operation => {
+    finalResultsSchema.pre(operation, function (next) {
+      next(new Error('Final results cannot be changed'));
+    });
+  });
+
+finalResultsSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Final results cannot be changed'));
+});
+
+const FinalResults = mongoose.model('FinalResults', finalResultsSchema);
+
+// Ed25519 key that signs final results, created on first use unless
+// RESULTS_SIGNING_KEY provides one
+const signingKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  publicKey: { type: String, required: true },
+  privateKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+// Reusable section layout saved from the admin panel
+const sessionTemplateSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, index: true },
+  name: { type: String, required: true },
+  sections: [sectionSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const SessionTemplate = mongoose.model('SessionTemplate', sessionTemplateSchema);
+
+// Uploaded option image. Only the resized variants are stored, under
+// "<id>/<variant>.webp" in the image storage.
+const imageAssetSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  filename: { type: String },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  variants: [{
+    _id: false,
+    name: { type: String, required: true },
+    width: Number,
+    height: Number,
+    size: Number
+  }],
+  uploadedBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ImageAsset = mongoose.model('ImageAsset', imageAssetSchema);
+
+// Identifies session definition files produced by the export endpoint
+const DEFINITION_FORMAT = 'artist-voting-session';
+const DEFINITION_FORMAT_VERSION = 1;
 
 async function connectDB() {
   try {
@@ -76,683 +504,7578 @@ async function connectDB() {
   }
 }
 
-async function getCurrentVoting() {
-  return await VotingSession.findOne({ isActive: true }).sort({ createdAt: -1 });
+// Active sessions that have not passed their closing time (they may not have opened yet)
+function getCurrentVotingFilter() {
+  return {
+    isActive: true,
+    $or: [
+      { closesAt: null },
+      { closesAt: { $gt: new Date() } }
+    ]
+  };
 }
 
-async function getVoteCount(votingSessionId) {
-  return await Vote.countDocuments({ votingSessionId });
+// Most recently created current session
+async function getCurrentVoting() {
+  return await VotingSession.findOne(getCurrentVotingFilter()).sort({ createdAt: -1 });
 }
 
-async function getVoteCountByCompany(votingSessionId, companyId) {
-  return await Vote.countDocuments({ votingSessionId, companyId });
-}
+// All current sessions, optionally only those a company can vote in
+async function getCurrentVotings(companyId) {
+  const filter = getCurrentVotingFilter();
+
+  if (companyId) {
+    filter.$and = [{
+      $or: [
+        { allCompanies: { $ne: false } },
+        { companyIds: companyId }
+      ]
+    }];
+  }
 
-const adminTokens = new Set();
+  return await VotingSession.find(filter).sort({ createdAt: -1 });
+}
 
-function authenticateAdmin(req, res, next) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+function sessionAppliesToCompany(votingSession, companyId) {
+  return votingSession.allCompanies !== false || votingSession.companyIds.includes(companyId);
+}
 
-  if (!token || !adminTokens.has(token)) {
-    return res.status(401).json({ message: 'Unauthorized' });
+// Returns null when the section definitions are valid, otherwise { message, path }
+// where path points at the failing field, e.g. "sections[1].options[0].name"
+function validateSections(sections) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { message: 'At least one section is required', path: 'sections' };
   }
 
-  next();
-}
+  const sectionIds = new Set();
 
-// Public API endpoints
+  for (const [index, section] of sections.entries()) {
+    const path = `sections[${index}]`;
 
-app.get('/api/company/:companyId', async (req, res) => {
-  try {
-    const { companyId } = req.params;
-    const company = await Company.findOne({ id: companyId });
+    if (!section || typeof section !== 'object') {
+      return { message: `Section ${index + 1} must be an object`, path };
+    }
 
-    if (!company) {
-      return res.status(404).json({ message: 'Company not found' });
+    const missing = ['id', 'label', 'type'].find(field => !section[field]);
+    if (missing) {
+      return { message: `Section ${index + 1} must have id, label, and type`, path: `${path}.${missing}` };
     }
 
-    res.json({
-      id: company.id,
-      name: company.name
-    });
-  } catch (error) {
-    console.error('Error getting company:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+    const where = `section ${index + 1} ("${section.label}")`;
 
-app.get('/api/voting/:companyId', async (req, res) => {
-  try {
-    const { companyId } = req.params;
-    const company = await Company.findOne({ id: companyId });
+    if (sectionIds.has(section.id)) {
+      return { message: `Section id "${section.id}" is used more than once`, path: `${path}.id` };
+    }
+    sectionIds.add(section.id);
 
-    if (!company) {
-      return res.status(404).json({ message: 'Company not found' });
+    if (!SECTION_TYPES.includes(section.type)) {
+      return {
+        message: `Invalid type "${section.type}" in ${where}. Must be one of: ${SECTION_TYPES.join(', ')}`,
+        path: `${path}.type`
+      };
     }
 
-    const currentVoting = await getCurrentVoting();
+    // Validate options for select types
+    if (OPTION_SECTION_TYPES.includes(section.type)) {
+      if (!Array.isArray(section.options) || section.options.length === 0) {
+        return { message: `The ${where} must have at least one option`, path: `${path}.options` };
+      }
 
-    if (!currentVoting) {
-      return res.json({ active: false });
-    }
+      const optionNames = new Set();
 
-    const totalVotes = await getVoteCount(currentVoting.id);
-    const companyVotes = await getVoteCountByCompany(currentVoting.id, companyId);
+      for (const [optionIndex, option] of section.options.entries()) {
+        const optionPath = `${path}.options[${optionIndex}]`;
 
-    res.json({
-      active: true,
-      id: currentVoting.id,
-      title: currentVoting.title,
-      sections: currentVoting.sections,
-      totalVotes,
-      companyVotes,
-      companyName: company.name
-    });
-  } catch (error) {
-    console.error('Error getting voting session:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+        if (!option || typeof option !== 'object' || !option.name) {
+          return { message: `Option ${optionIndex + 1} in ${where} must have a name`, path: `${optionPath}.name` };
+        }
 
-app.post('/api/vote', async (req, res) => {
-  try {
-    const { companyId, votingSessionId, votes, deviceId } = req.body;
+        if (optionNames.has(option.name)) {
+          return {
+            message: `Option ${optionIndex + 1} in ${where} repeats the name "${option.name}"; option names must be unique`,
+            path: `${optionPath}.name`
+          };
+        }
+        optionNames.add(option.name);
 
-    if (!deviceId) {
-      return res.status(400).json({ message: 'Device ID is required' });
+        if (option.imageId !== undefined && option.imageId !== null && !IMAGE_ID_PATTERN.test(option.imageId)) {
+          return { message: `Option ${optionIndex + 1} in ${where} has an invalid imageId`, path: `${optionPath}.imageId` };
+        }
+      }
     }
 
-    const company = await Company.findOne({ id: companyId });
-    if (!company) {
-      return res.status(404).json({ message: 'Company not found' });
-    }
+    // Validate rating/scale ranges
+    if (section.type === 'rating' || section.type === 'scale') {
+      const scaleMin = section.scaleMin !== undefined ? Number(section.scaleMin) : 1;
+      const scaleMax = section.scaleMax !== undefined ? Number(section.scaleMax) : 5;
+      const scaleStep = section.scaleStep !== undefined ? Number(section.scaleStep) : 1;
 
-    const votingSession = await VotingSession.findOne({
-      id: votingSessionId,
-      isActive: true
-    });
+      if (![scaleMin, scaleMax, scaleStep].every(Number.isFinite) || scaleStep <= 0 || scaleMin >= scaleMax) {
+        return {
+          message: `In ${where}, scaleMin must be below scaleMax and scaleStep must be positive`,
+          path: !Number.isFinite(scaleStep) || scaleStep <= 0 ? `${path}.scaleStep` : `${path}.scaleMin`
+        };
+      }
 
-    if (!votingSession) {
-      return res.status(400).json({ message: 'Invalid or expired voting session' });
+      const points = (scaleMax - scaleMin) / scaleStep;
+      if (Math.abs(points - Math.round(points)) > 1e-9) {
+        return {
+          message: `In ${where}, the range from scaleMin to scaleMax must divide evenly by scaleStep`,
+          path: `${path}.scaleStep`
+        };
+      }
+
+      if (points + 1 > MAX_SCALE_POINTS) {
+        return { message: `In ${where}, the scale can have at most ${MAX_SCALE_POINTS} points`, path: `${path}.scaleStep` };
+      }
     }
 
-    // Check if device has voted in the last 3 hours
-    const threeHoursAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
-    const recentVote = await Vote.findOne({
-      deviceId,
-      votingSessionId,
-      timestamp: { $gte: threeHoursAgo }
-    });
+    if (section.type === 'text-input') {
+      if (section.maxLength !== undefined &&
+          (!Number.isInteger(Number(section.maxLength)) || section.maxLength < 1 || section.maxLength > MAX_TEXT_MAX_LENGTH)) {
+        return {
+          message: `In ${where}, maxLength must be a whole number from 1 to ${MAX_TEXT_MAX_LENGTH}`,
+          path: `${path}.maxLength`
+        };
+      }
 
-    if (recentVote) {
-      const timeLeft = Math.ceil((recentVote.timestamp.getTime() + 3 * 60 * 60 * 1000 - Date.now()) / 1000 / 60);
-      return res.status(429).json({
-        message: `You can vote again in ${timeLeft} minutes`,
-        timeLeft
-      });
-    }
+      if (section.moderation !== undefined && !MODERATION_MODES.includes(section.moderation)) {
+        return {
+          message: `In ${where}, moderation must be one of: ${MODERATION_MODES.join(', ')}`,
+          path: `${path}.moderation`
+        };
+      }
 
-    if (!votes || typeof votes !== 'object') {
-      return res.status(400).json({ message: 'Invalid votes data' });
+      if (section.blocklist !== undefined &&
+          (!Array.isArray(section.blocklist) || !section.blocklist.every(term => typeof term === 'string'))) {
+        return { message: `In ${where}, blocklist must be a list of words`, path: `${path}.blocklist` };
+      }
+
+      if (section.moderation === 'blocklist' && !(section.blocklist || []).some(term => term.trim())) {
+        return { message: `The ${where} uses a blocklist but has no blocked terms`, path: `${path}.blocklist` };
+      }
     }
 
-    // Validate votes against sections
-    for (const section of votingSession.sections) {
-      const voteValue = votes[section.id];
+    if (section.type === 'ranked-choice' && section.options.length < 2) {
+      return { message: `Ranked-choice ${where} needs at least two options`, path: `${path}.options` };
+    }
 
-      // Check required sections
-      if (section.required) {
-        if (section.type === 'text-input') {
-          if (!voteValue || (typeof voteValue === 'string' && voteValue.trim() === '')) {
-            return res.status(400).json({
-              message: `Please provide a value for ${section.label}`
-            });
-          }
-        } else {
-          if (!voteValue || (Array.isArray(voteValue) && voteValue.length === 0)) {
-            return res.status(400).json({
-              message: `Please select at least one option for ${section.label}`
-            });
-          }
-        }
+    // Validate multi-select min/max
+    if (section.type === 'multi-select') {
+      if (section.minSelections && section.maxSelections &&
+          section.minSelections > section.maxSelections) {
+        return {
+          message: `In ${where}, minSelections cannot be greater than maxSelections`,
+          path: `${path}.minSelections`
+        };
       }
+    }
+  }
 
-      // Validate based on section type
-      if (section.type === 'single-select') {
-        if (voteValue) {
-          const validOptions = section.options.map(opt => opt.name);
-          if (!validOptions.includes(voteValue)) {
-            return res.status(400).json({
-              message: `Invalid option selected for ${section.label}`
-            });
-          }
-        }
-      } else if (section.type === 'multi-select') {
-        if (voteValue) {
-          if (!Array.isArray(voteValue)) {
-            return res.status(400).json({
-              message: `${section.label} must be an array`
-            });
-          }
+  return null;
+}
 
-          if (voteValue.length < section.minSelections) {
-            return res.status(400).json({
-              message: `Please select at least ${section.minSelections} option(s) for ${section.label}`
-            });
-          }
+// Returns an error message, or null when the assignment is valid
+async function validateCompanyAssignment(allCompanies, companyIds) {
+  if (allCompanies !== false) {
+    return null;
+  }
 
-          if (voteValue.length > section.maxSelections) {
-            return res.status(400).json({
-              message: `Please select at most ${section.maxSelections} option(s) for ${section.label}`
-            });
-          }
+  if (!Array.isArray(companyIds) || companyIds.length === 0) {
+    return 'Assign the session to at least one company, or to all companies';
+  }
 
-          const validOptions = section.options.map(opt => opt.name);
-          for (const option of voteValue) {
-            if (!validOptions.includes(option)) {
-              return res.status(400).json({
-                message: `Invalid option selected for ${section.label}`
-              });
-            }
-          }
+  const uniqueIds = [...new Set(companyIds)];
+  const found = await Company.countDocuments({ id: { $in: uniqueIds } });
+
+  if (found !== uniqueIds.length) {
+    return 'One or more assigned companies do not exist';
+  }
+
+  return null;
+}
+
+// Validate a new session's definition, schedule and assignment. Returns
+// { error } with a { message, path } body, or { voting } ready to be saved.
+async function buildVotingSession({ title, sections, opensAt, closesAt, allCompanies, companyIds, requireAccessCode, votePolicy, resultsVisibility, tieBreak }) {
+  if (!title || !sections) {
+    return { error: { message: 'Invalid voting session data', path: !title ? 'title' : 'sections' } };
+  }
+
+  const opensAtDate = opensAt ? new Date(opensAt) : null;
+  const closesAtDate = closesAt ? new Date(closesAt) : null;
+
+  if ((opensAtDate && isNaN(opensAtDate)) || (closesAtDate && isNaN(closesAtDate))) {
+    return { error: { message: 'opensAt and closesAt must be valid dates', path: opensAtDate && isNaN(opensAtDate) ? 'opensAt' : 'closesAt' } };
+  }
+
+  if (opensAtDate && closesAtDate && opensAtDate >= closesAtDate) {
+    return { error: { message: 'closesAt must be later than opensAt', path: 'closesAt' } };
+  }
+
+  if (closesAtDate && closesAtDate <= new Date()) {
+    return { error: { message: 'closesAt must be in the future', path: 'closesAt' } };
+  }
+
+  const sectionsError = validateSections(sections) || await findMissingImage(sections);
+  if (sectionsError) {
+    return { error: sectionsError };
+  }
+
+  const assignmentError = await validateCompanyAssignment(allCompanies, companyIds);
+  if (assignmentError) {
+    return { error: { message: assignmentError, path: 'companyIds' } };
+  }
+
+  const policyError = validateVotePolicy(votePolicy);
+  if (policyError) {
+    return { error: policyError };
+  }
+
+  if (resultsVisibility !== undefined && !RESULTS_VISIBILITIES.includes(resultsVisibility)) {
+    return {
+      error: { message: `resultsVisibility must be one of: ${RESULTS_VISIBILITIES.join(', ')}`, path: 'resultsVisibility' }
+    };
+  }
+
+  if (tieBreak !== undefined && !TIE_BREAK_RULES.includes(tieBreak)) {
+    return { error: { message: `tieBreak must be one of: ${TIE_BREAK_RULES.join(', ')}`, path: 'tieBreak' } };
+  }
+
+  const voting = new VotingSession({
+    id: crypto.randomBytes(16).toString('hex'),
+    title,
+    sections,
+    isActive: true,
+    allCompanies: allCompanies !== false,
+    companyIds: allCompanies !== false ? [] : [...new Set(companyIds)],
+    opensAt: opensAtDate,
+    closesAt: closesAtDate,
+    requireAccessCode: Boolean(requireAccessCode),
+    votePolicy: votePolicy ? { mode: votePolicy.mode, cooldownMinutes: votePolicy.cooldownMinutes } : undefined,
+    resultsVisibility,
+    tieBreak,
+    talliesBuiltAt: new Date(),
+    tallyFormat: TALLY_FORMAT,
+    tallyGeneration: createTallyGeneration()
+  });
+
+  return { voting };
+}
+
+// Voter access codes
+//
+// Codes are 8 characters from an alphabet without look-alikes (0/O, 1/I),
+// stored without separators and shown to people as XXXX-XXXX.
+
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 8;
+const MAX_ACCESS_CODE_BATCH = 1000;
+
+function generateAccessCode() {
+  let code = '';
+  for (let i = 0; i < ACCESS_CODE_LENGTH; i++) {
+    code += ACCESS_CODE_ALPHABET[crypto.randomInt(ACCESS_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Accepts codes typed in any case, with or without the dash
+function normalizeAccessCode(input) {
+  return typeof input === 'string' ? input.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+function formatAccessCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Create a batch of unique codes for one company; returns the batch id
+async function issueAccessCodes(votingSessionId, companyId, count) {
+  const batchId = crypto.randomBytes(8).toString('hex');
+  const codes = new Set();
+
+  while (codes.size < count) {
+    const candidates = [];
+    while (codes.size + candidates.length < count) {
+      candidates.push(generateAccessCode());
+    }
+
+    const taken = new Set(await AccessCode.distinct('code', { code: { $in: candidates } }));
+    candidates.filter(code => !taken.has(code)).forEach(code => codes.add(code));
+  }
+
+  await AccessCode.insertMany([...codes].map(code => ({
+    code,
+    votingSessionId,
+    companyId,
+    batchId
+  })));
+
+  return batchId;
+}
+
+// Returns null when the policy is valid (or omitted), otherwise { message, path }
+function validateVotePolicy(votePolicy) {
+  if (votePolicy === undefined || votePolicy === null) {
+    return null;
+  }
+
+  if (!VOTE_POLICY_MODES.includes(votePolicy.mode)) {
+    return { message: `Vote policy must be one of: ${VOTE_POLICY_MODES.join(', ')}`, path: 'votePolicy.mode' };
+  }
+
+  if (votePolicy.mode === 'cooldown' && votePolicy.cooldownMinutes !== undefined) {
+    const minutes = votePolicy.cooldownMinutes;
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_COOLDOWN_MINUTES) {
+      return {
+        message: `Cooldown must be a whole number of minutes from 1 to ${MAX_COOLDOWN_MINUTES}`,
+        path: 'votePolicy.cooldownMinutes'
+      };
+    }
+  }
+
+  return null;
+}
+
+// Sessions created before vote policies existed use the old 3-hour cooldown
+function getVotePolicy(votingSession) {
+  const policy = votingSession.votePolicy || {};
+
+  return {
+    mode: policy.mode || 'cooldown',
+    cooldownMinutes: policy.mode === 'cooldown' || !policy.mode
+      ? policy.cooldownMinutes || DEFAULT_COOLDOWN_MINUTES
+      : null
+  };
+}
+
+// What a device may do next under the policy, given its latest ballot
+function getVoterStatus(policy, lastVote, now = new Date()) {
+  if (!lastVote) {
+    return { hasVoted: false, canVote: true, canVoteAgainAt: null };
+  }
+
+  if (policy.mode === 'once') {
+    return { hasVoted: true, canVote: false, canVoteAgainAt: null };
+  }
+
+  if (policy.mode === 'update') {
+    return { hasVoted: true, canVote: true, canVoteAgainAt: null };
+  }
+
+  const canVoteAgainAt = new Date(lastVote.timestamp.getTime() + policy.cooldownMinutes * 60 * 1000);
+  return canVoteAgainAt > now
+    ? { hasVoted: true, canVote: false, canVoteAgainAt }
+    : { hasVoted: true, canVote: true, canVoteAgainAt: null };
+}
+
+// Where a session is in its schedule: 'upcoming', 'open' or 'closed'
+function getVotingStatus(votingSession, now = new Date()) {
+  if (votingSession.opensAt && now < votingSession.opensAt) {
+    return 'upcoming';
+  }
+
+  if (votingSession.closesAt && now >= votingSession.closesAt) {
+    return 'closed';
+  }
+
+  return 'open';
+}
+
+// Schedule details voting pages use to render their countdowns
+function getVotingSchedule(votingSession, now = new Date()) {
+  const secondsUntil = date => (date ? Math.max(0, Math.ceil((date.getTime() - now.getTime()) / 1000)) : null);
+
+  return {
+    status: getVotingStatus(votingSession, now),
+    opensAt: votingSession.opensAt || null,
+    closesAt: votingSession.closesAt || null,
+    opensIn: secondsUntil(votingSession.opensAt),
+    closesIn: secondsUntil(votingSession.closesAt),
+    serverTime: now
+  };
+}
+
+function formatTimeLeft(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}${mins > 0 ? ` ${mins} minute${mins === 1 ? '' : 's'}` : ''}`;
+}
+
+async function getVoteCount(votingSessionId) {
+  return await Vote.countDocuments({ votingSessionId, invalidatedAt: null });
+}
+
+async function getVoteCountByCompany(votingSessionId, companyId) {
+  return await Vote.countDocuments({ votingSessionId, companyId, invalidatedAt: null });
+}
+
+// Counted ballots of every company in a session, by company id, from the
+// companies' ballot counters
+async function getVoteCountsByCompany(votingSession) {
+  const counters = await readTallyGeneration(votingSession, generation => Tally.find(
+    { votingSessionId: votingSession.id, generation, sectionId: null, option: null },
+    { companyId: 1, count: 1 }
+  ).lean());
+
+  return new Map(counters.filter(({ count }) => count > 0).map(({ companyId, count }) => [companyId, count]));
+}
+
+// Text moderation
+
+// Blocked terms found in a response, matched case-insensitively as whole words
+function findBlockedTerms(text, blocklist) {
+  const normalized = text.normalize('NFKC').toLowerCase();
+
+  return (blocklist || [])
+    .map(term => term.trim().toLowerCase())
+    .filter(term => {
+      if (!term) return false;
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(normalized);
+    });
+}
+
+// Moderation state for a newly submitted answer
+function moderateTextResponse(section, text) {
+  if (section.moderation === 'hold') {
+    return { status: 'pending' };
+  }
+
+  if (section.moderation === 'blocklist') {
+    const flaggedTerms = findBlockedTerms(text, section.blocklist);
+    if (flaggedTerms.length > 0) {
+      return { status: 'pending', flaggedTerms };
+    }
+  }
+
+  return { status: 'approved' };
+}
+
+// Moderation entries for every answered text section of a ballot
+function moderateBallot(votingSession, votes) {
+  const moderation = {};
+
+  votingSession.sections.forEach(section => {
+    const response = votes[section.id];
+    if (section.type === 'text-input' && typeof response === 'string' && response.trim() !== '') {
+      moderation[section.id] = moderateTextResponse(section, response);
+    }
+  });
+
+  return moderation;
+}
+
+function getModeration(voteDoc, sectionId) {
+  const moderation = voteDoc.moderation instanceof Map
+    ? voteDoc.moderation.get(sectionId)
+    : (voteDoc.moderation || {})[sectionId];
+
+  return moderation || { status: 'approved' };
+}
+
+// The text the public sees for an answer, or null while it is not approved
+function getPublishedResponse(voteDoc, sectionId) {
+  const response = getVoteData(voteDoc)[sectionId];
+  if (typeof response !== 'string' || response.trim() === '') {
+    return null;
+  }
+
+  const moderation = getModeration(voteDoc, sectionId);
+  if (moderation.status !== 'approved') {
+    return null;
+  }
+
+  return moderation.text || response;
+}
+
+// Query matching ballots whose answer to a text section is approved
+function approvedResponseFilter(sectionId) {
+  return {
+    $or: [
+      { [`moderation.${sectionId}.status`]: 'approved' },
+      { [`moderation.${sectionId}`]: { $exists: false } }
+    ]
+  };
+}
+
+// Ballot data safe to broadcast: unapproved text answers are left out
+function getPublicVotes(votingSession, votes, moderation) {
+  const publicVotes = { ...votes };
+
+  votingSession.sections.forEach(section => {
+    if (section.type === 'text-input' && moderation[section.id] && moderation[section.id].status !== 'approved') {
+      delete publicVotes[section.id];
+    }
+  });
+
+  return publicVotes;
+}
+
+// Section definitions as voters see them, without moderation internals
+function toPublicSection(section) {
+  const { blocklist, moderation, ...publicSection } = section.toObject ? section.toObject() : section;
+  return publicSection;
+}
+
+// Text aggregation
+//
+// Free-text answers are grouped so that "Mr. Brightside", "mr brightside" and
+// "Mr Brightsde" count as one answer. Answers are normalized (case, accents,
+// punctuation, whitespace) and then merged with earlier groups when they are
+// within a small edit distance, which scales with the answer's length.
+
+const TOP_TEXT_ANSWERS = 25;
+const TOP_TEXT_WORDS = 60;
+// Past this many groups new answers are only merged on an exact match
+const MAX_FUZZY_GROUPS = 500;
+const TEXT_AGGREGATE_CACHE_SIZE = 200;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'if', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'were',
+  'with', 'you', 'your', 'our', 'us', 'they', 'them', 'their', 'he', 'she', 'his', 'her', 'not', 'no',
+  'do', 'did', 'just', 'very', 'more', 'all', 'can', 'will', 'would', 'should', 'could', 'im', 'dont'
+]);
+
+function normalizeResponse(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Key used to compare answers: leading articles and spaces don't matter
+function getGroupingKey(normalized) {
+  return normalized.replace(/^(the|a|an) /, '').replace(/ /g, '');
+}
+
+// Levenshtein distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// One typo per six characters, at most three
+function allowedDistance(key) {
+  return Math.min(3, Math.floor(key.length / 6));
+}
+
+// How a published answer is tallied: trimmed, with runs of whitespace collapsed
+function getResponseSpelling(response) {
+  return response.trim().replace(/\s+/g, ' ');
+}
+
+// Top grouped answers and word frequencies, from how many times each
+// spelling of an answer was given
+function aggregateTextResponses(spellingCounts) {
+  // Exact matches on the grouping key first, remembering each spelling
+  const byKey = new Map();
+  Object.entries(spellingCounts).forEach(([spelling, count]) => {
+    const normalized = normalizeResponse(spelling);
+    if (!normalized || count <= 0) return;
+
+    const key = getGroupingKey(normalized);
+    const entry = byKey.get(key) || { key, count: 0, spellings: new Map() };
+    entry.count += count;
+    entry.spellings.set(spelling, (entry.spellings.get(spelling) || 0) + count);
+    byKey.set(key, entry);
+  });
+
+  // Then fold near-duplicates into the most common answer they are close to
+  const groups = [];
+  [...byKey.values()]
+    .sort((a, b) => b.count - a.count)
+    .forEach(entry => {
+      const max = allowedDistance(entry.key);
+      const group = max > 0 && groups.length <= MAX_FUZZY_GROUPS
+        ? groups.find(candidate => editDistance(candidate.key, entry.key, max) <= max)
+        : null;
+
+      if (group) {
+        group.count += entry.count;
+        entry.spellings.forEach((count, spelling) => {
+          group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + count);
+        });
+      } else {
+        groups.push({ key: entry.key, count: entry.count, spellings: new Map(entry.spellings) });
+      }
+    });
+
+  const answers = groups
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_TEXT_ANSWERS)
+    .map(group => {
+      // Shown as the spelling voters used most
+      const [text] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+      return { text, count: group.count, variants: group.spellings.size };
+    });
+
+  const wordCounts = new Map();
+  Object.entries(spellingCounts).forEach(([spelling, count]) => {
+    if (count <= 0) return;
+    normalizeResponse(spelling).split(' ').forEach(word => {
+      if (word.length < 2 || STOP_WORDS.has(word)) return;
+      wordCounts.set(word, (wordCounts.get(word) || 0) + count);
+    });
+  });
+
+  const words = [...wordCounts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_TEXT_WORDS)
+    .map(([word, count]) => ({ word, count }));
+
+  return { answers, uniqueAnswers: groups.length, words };
+}
+
+// Grouping is only redone when a section's answer counts change, that is
+// after a vote or a moderation decision. Entries are keyed by session,
+// company and section and hold a fingerprint of the counts they were built from.
+const textAggregateCache = new Map();
+
+function getTextAggregate(cacheKey, spellingCounts) {
+  const fingerprint = crypto.createHash('sha1')
+    .update(JSON.stringify(Object.entries(spellingCounts).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))))
+    .digest('hex');
+
+  const cached = textAggregateCache.get(cacheKey);
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.aggregate;
+  }
+
+  const aggregate = aggregateTextResponses(spellingCounts);
+  textAggregateCache.delete(cacheKey);
+  textAggregateCache.set(cacheKey, { fingerprint, aggregate });
+
+  // Forget the least recently built entries
+  while (textAggregateCache.size > TEXT_AGGREGATE_CACHE_SIZE) {
+    textAggregateCache.delete(textAggregateCache.keys().next().value);
+  }
+
+  return aggregate;
+}
+
+// Results engine
+//
+// Option counts live in the Tally collection and are adjusted as votes are
+// saved, removed or moderated, so reading results never has to scan the Vote
+// collection. Text answers are counted per spelling; only the page of raw
+// responses shown in the feed is read from the ballots.
+//
+// Counters are kept in generations. Results read the session's
+// tallyGeneration while a rebuild counts a new generation under a per-session
+// lock and then swaps it in, so readers never see a half-built set. Each
+// ballot records the generations that count it (countedIn) and a
+// tallyRevision bumped whenever its counted content changes. Live votes and
+// the rebuild both claim a ballot for a generation before counting it, so
+// whichever gets there first counts it and the other skips it.
+
+// Bump when the counter layout changes so existing sessions are recounted
+const TALLY_FORMAT = 4;
+// How long a rebuild may hold a session's tallies before another can take over
+const TALLY_REBUILD_LOCK_MS = 5 * 60 * 1000;
+const TALLY_REBUILD_BATCH_SIZE = 500;
+const TALLY_REBUILD_POLL_MS = 250;
+// Other rebuilds to wait out before giving up on taking the lock
+const TALLY_REBUILD_MAX_ATTEMPTS = 5;
+const TEXT_RESPONSE_PAGE_SIZE = 50;
+
+function getVoteData(voteDoc) {
+  return voteDoc.votes instanceof Map ? Object.fromEntries(voteDoc.votes) : (voteDoc.votes || {});
+}
+
+// Every value a rating/scale section accepts, from scaleMin to scaleMax
+function getScaleValues(section) {
+  const values = [];
+  const points = Math.round((section.scaleMax - section.scaleMin) / section.scaleStep);
+
+  for (let i = 0; i <= points; i++) {
+    values.push(Number((section.scaleMin + i * section.scaleStep).toFixed(10)));
+  }
+
+  return values;
+}
+
+// The allowed value a submitted number matches, or undefined
+function matchScaleValue(section, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return undefined;
+  }
+
+  return getScaleValues(section).find(allowed => Math.abs(allowed - value) < 1e-9);
+}
+
+// Count, mean, median and a zero-filled histogram from value counts
+function summarizeScores(section, valueCounts) {
+  const histogram = getScaleValues(section).map(value => ({
+    value,
+    count: valueCounts[value] || 0
+  }));
+  const count = histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  if (count === 0) {
+    return { count, mean: null, median: null, histogram };
+  }
+
+  const total = histogram.reduce((sum, bucket) => sum + bucket.value * bucket.count, 0);
+
+  // Median: the middle score, or the average of the two middle scores
+  const valueAt = position => {
+    let seen = 0;
+    return histogram.find(bucket => {
+      seen += bucket.count;
+      return seen > position;
+    }).value;
+  };
+  const median = count % 2 === 1
+    ? valueAt((count - 1) / 2)
+    : (valueAt(count / 2 - 1) + valueAt(count / 2)) / 2;
+
+  return {
+    count,
+    mean: Number((total / count).toFixed(2)),
+    median,
+    histogram
+  };
+}
+
+// Counter keys a single ballot contributes to, including the ballot counters
+function getTallyKeys(votingSession, voteDoc) {
+  const voteData = getVoteData(voteDoc);
+  const keys = [
+    { sectionId: null, option: null },
+    { sectionId: null, option: `version:${voteDoc.sessionVersion || 1}` }
+  ];
+
+  votingSession.sections.forEach(section => {
+    const sectionVote = voteData[section.id];
+    const validOptions = (section.options || []).map(opt => opt.name);
+
+    if (section.type === 'single-select') {
+      if (sectionVote && validOptions.includes(sectionVote)) {
+        keys.push({ sectionId: section.id, option: sectionVote });
+      }
+    } else if (section.type === 'multi-select') {
+      if (Array.isArray(sectionVote)) {
+        sectionVote
+          .filter(option => validOptions.includes(option))
+          .forEach(option => keys.push({ sectionId: section.id, option }));
+      }
+    } else if (section.type === 'ranked-choice') {
+      // Identical rankings share one counter, keyed by the serialized ranking
+      if (Array.isArray(sectionVote)) {
+        const ranking = [...new Set(sectionVote)].filter(option => validOptions.includes(option));
+
+        if (ranking.length > 0) {
+          keys.push({ sectionId: section.id, option: JSON.stringify(ranking) });
+        }
+      }
+    } else if (section.type === 'rating') {
+      // One counter per option and score, keyed by [option, score]
+      if (sectionVote && typeof sectionVote === 'object' && !Array.isArray(sectionVote)) {
+        Object.entries(sectionVote).forEach(([option, score]) => {
+          const value = matchScaleValue(section, score);
+
+          if (validOptions.includes(option) && value !== undefined) {
+            keys.push({ sectionId: section.id, option: JSON.stringify([option, value]) });
+          }
+        });
+      }
+    } else if (section.type === 'scale') {
+      const value = matchScaleValue(section, sectionVote);
+
+      if (value !== undefined) {
+        keys.push({ sectionId: section.id, option: String(value) });
+      }
+    } else if (section.type === 'text-input') {
+      // Approved answers, keyed by how they were spelled
+      const response = getPublishedResponse(voteDoc, section.id);
+
+      if (response !== null) {
+        keys.push({ sectionId: section.id, option: getResponseSpelling(response) });
+      }
+    }
+  });
+
+  return keys;
+}
+
+// Pick which of the tied lowest options to eliminate. Looks back through earlier
+// rounds (most recent first) for the option with fewer votes, then falls back to
+// eliminating whichever tied option is listed last in the section.
+function breakEliminationTie(section, tied, rounds) {
+  let candidates = tied;
+
+  for (let i = rounds.length - 1; i >= 0 && candidates.length > 1; i--) {
+    const votesIn = name => rounds[i].tallies.find(t => t.name === name).votes;
+    const fewest = Math.min(...candidates.map(votesIn));
+    candidates = candidates.filter(name => votesIn(name) === fewest);
+  }
+
+  if (candidates.length === 1) {
+    return { eliminated: candidates[0], tieBreak: 'previous-rounds' };
+  }
+
+  const order = section.options.map(opt => opt.name);
+  const eliminated = candidates.reduce((last, name) => (order.indexOf(name) > order.indexOf(last) ? name : last));
+  return { eliminated, tieBreak: 'option-order', tiedOptions: candidates };
+}
+
+// Instant-runoff count over aggregated ballots ([{ ranking, count }]).
+// Each round counts every ballot for its highest-ranked remaining option; an
+// option with a majority of the non-exhausted ballots wins, otherwise the
+// option with the fewest votes is eliminated and the count repeats.
+function runInstantRunoff(section, ballots) {
+  let remaining = section.options.map(opt => opt.name);
+  const rounds = [];
+  let winner = null;
+
+  while (remaining.length > 0) {
+    const counts = {};
+    remaining.forEach(name => {
+      counts[name] = 0;
+    });
+
+    let exhausted = 0;
+
+    ballots.forEach(({ ranking, count }) => {
+      const choice = ranking.find(name => remaining.includes(name));
+
+      if (choice) {
+        counts[choice] += count;
+      } else {
+        exhausted += count;
+      }
+    });
+
+    const tallies = remaining
+      .map(name => ({ name, votes: counts[name] }))
+      .sort((a, b) => b.votes - a.votes);
+    const activeBallots = tallies.reduce((sum, t) => sum + t.votes, 0);
+    const round = { round: rounds.length + 1, tallies, exhausted, eliminated: null, tieBreak: null };
+
+    if (activeBallots === 0) {
+      rounds.push(round);
+      break;
+    }
+
+    if (tallies[0].votes * 2 > activeBallots || remaining.length === 1) {
+      winner = tallies[0].name;
+      rounds.push(round);
+      break;
+    }
+
+    const fewest = tallies[tallies.length - 1].votes;
+    const tied = tallies.filter(t => t.votes === fewest).map(t => t.name);
+
+    if (tied.length > 1) {
+      Object.assign(round, breakEliminationTie(section, tied, rounds));
+    } else {
+      round.eliminated = tied[0];
+    }
+
+    rounds.push(round);
+    remaining = remaining.filter(name => name !== round.eliminated);
+  }
+
+  return { rounds, winner };
+}
+
+async function invalidateTallies(votingSessionId) {
+  await VotingSession.updateOne({ id: votingSessionId }, { $unset: { talliesBuiltAt: 1 } });
+}
+
+function createTallyGeneration() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Matches a ballot only while it still has the revision that was read
+function revisionFilter(voteDoc) {
+  return voteDoc.tallyRevision ? voteDoc.tallyRevision : { $in: [null, 0] };
+}
+
+// Generations a ballot change has to reach: the one results are read from
+// and the one a rebuild is counting, if any
+async function getTallyGenerations(votingSessionId) {
+  const session = await VotingSession.findOne(
+    { id: votingSessionId },
+    { tallyGeneration: 1, tallyRebuild: 1 }
+  ).lean();
+  if (!session) {
+    return [];
+  }
+
+  return [session.tallyGeneration, session.tallyRebuild && session.tallyRebuild.generation].filter(Boolean);
+}
+
+async function incrementTallies(votingSession, voteDoc, generation, direction) {
+  const keys = getTallyKeys(votingSession, voteDoc);
+
+  await Tally.bulkWrite(keys.map(key => ({
+    updateOne: {
+      filter: {
+        votingSessionId: votingSession.id,
+        generation,
+        companyId: voteDoc.companyId,
+        ...key
+      },
+      update: { $inc: { count: direction } },
+      // A generation that is gone needs no decrement
+      upsert: direction > 0
+    }
+  })));
+}
+
+// Count a stored ballot in every generation that does not count it yet.
+// The generations are read again after counting so a rebuild that started
+// in between, and whose scan may have missed the ballot, is not left short.
+// If the counters cannot be updated they are flagged for a rebuild on next read.
+async function countVote(votingSession, voteDoc) {
+  const done = new Set();
+
+  try {
+    for (let pass = 0; pass < 2; pass++) {
+      for (const generation of await getTallyGenerations(votingSession.id)) {
+        if (done.has(generation)) {
+          continue;
+        }
+        done.add(generation);
+
+        const claimed = await Vote.updateOne(
+          {
+            _id: voteDoc._id,
+            tallyRevision: revisionFilter(voteDoc),
+            invalidatedAt: null,
+            countedIn: { $ne: generation }
+          },
+          { $addToSet: { countedIn: generation } }
+        );
+
+        if (claimed.modifiedCount > 0) {
+          await incrementTallies(votingSession, voteDoc, generation, 1);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error updating tallies, scheduling rebuild:', error);
+    await invalidateTallies(votingSession.id);
+  }
+}
+
+// Apply an update to a ballot and take its previous content out of every
+// generation that counted it. The update, the revision bump and clearing
+// countedIn happen in one write, so no rebuild can count the ballot in
+// between. Returns the ballot before and after, or null if filter matched
+// nothing.
+async function updateCountedVote(votingSession, filter, update) {
+  const previous = await Vote.findOneAndUpdate(
+    filter,
+    {
+      ...update,
+      $set: { ...update.$set, countedIn: [] },
+      $inc: { tallyRevision: 1 }
+    },
+    { new: false }
+  ).lean();
+
+  if (!previous) {
+    return null;
+  }
+
+  try {
+    for (const generation of previous.countedIn || []) {
+      await incrementTallies(votingSession, previous, generation, -1);
+    }
+  } catch (error) {
+    console.error('Error updating tallies, scheduling rebuild:', error);
+    await invalidateTallies(votingSession.id);
+  }
+
+  const current = await Vote.findById(previous._id).lean();
+  return { previous, current };
+}
+
+async function clearTallies(filter) {
+  await Tally.deleteMany(filter);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait until no rebuild holds the session's tallies, or its lock has expired
+async function waitForTallyRebuild(votingSessionId) {
+  for (;;) {
+    const session = await VotingSession.findOne({ id: votingSessionId }, { tallyRebuild: 1 }).lean();
+    if (!session || !session.tallyRebuild || session.tallyRebuild.lockedUntil <= new Date()) {
+      return session;
+    }
+    await delay(TALLY_REBUILD_POLL_MS);
+  }
+}
+
+function lockTallyRebuild(votingSessionId, generation) {
+  const now = new Date();
+
+  return VotingSession.findOneAndUpdate(
+    {
+      id: votingSessionId,
+      $or: [
+        { tallyRebuild: null },
+        { 'tallyRebuild.lockedUntil': { $lte: now } }
+      ]
+    },
+    { $set: { tallyRebuild: { generation, lockedUntil: new Date(now.getTime() + TALLY_REBUILD_LOCK_MS) } } },
+    { new: true }
+  ).lean();
+}
+
+// Count one batch of ballots, as read by the rebuild scan, into generation.
+// Ballots that changed since they were read or that a live vote already
+// counted are left out: whoever changed or counted them accounts for them.
+async function countRebuildBatch(votingSession, generation, batch, counters) {
+  const claim = crypto.randomBytes(8).toString('hex');
+
+  await Vote.updateMany(
+    {
+      $or: batch.map(voteDoc => ({ _id: voteDoc._id, tallyRevision: revisionFilter(voteDoc) })),
+      invalidatedAt: null,
+      countedIn: { $ne: generation }
+    },
+    { $addToSet: { countedIn: generation }, $set: { tallyClaim: claim } }
+  );
+
+  const claimed = new Set((await Vote.find(
+    { _id: { $in: batch.map(voteDoc => voteDoc._id) }, tallyClaim: claim },
+    { _id: 1 }
+  ).lean()).map(voteDoc => String(voteDoc._id)));
+
+  batch.filter(voteDoc => claimed.has(String(voteDoc._id))).forEach(voteDoc => {
+    getTallyKeys(votingSession, voteDoc).forEach(key => {
+      const counterId = JSON.stringify([voteDoc.companyId, key.sectionId, key.option]);
+      const counter = counters.get(counterId);
+
+      if (counter) {
+        counter.count++;
+      } else {
+        counters.set(counterId, { companyId: voteDoc.companyId, ...key, count: 1 });
+      }
+    });
+  });
+}
+
+// Delete a generation nobody reads any more and forget it on the ballots
+async function retireTallyGeneration(votingSessionId, generation) {
+  await clearTallies({ votingSessionId, generation });
+
+  if (generation) {
+    await Vote.updateMany({ votingSessionId, countedIn: generation }, { $pull: { countedIn: generation } });
+  }
+}
+
+// Recount every counter for a session from the raw votes into a new
+// generation and swap it in. If another rebuild is running this waits for
+// it and, unless force is set, uses its result. force is for callers that
+// changed ballots in ways live counting does not follow (edits, restores).
+async function rebuildTallies(votingSession, { force = false } = {}) {
+  const generation = createTallyGeneration();
+
+  for (let attempt = 1; !await lockTallyRebuild(votingSession.id, generation); attempt++) {
+    const settled = await waitForTallyRebuild(votingSession.id);
+    if (!settled) {
+      throw new Error(`Voting session ${votingSession.id} no longer exists`);
+    }
+
+    if (!force && settled.tallyGeneration && settled.tallyFormat === TALLY_FORMAT) {
+      votingSession.tallyGeneration = settled.tallyGeneration;
+      votingSession.talliesBuiltAt = settled.talliesBuiltAt;
+      votingSession.tallyFormat = settled.tallyFormat;
+      return;
+    }
+
+    if (attempt >= TALLY_REBUILD_MAX_ATTEMPTS) {
+      throw new Error(`Could not lock the tallies of voting session ${votingSession.id}`);
+    }
+  }
+
+  const owned = { id: votingSession.id, 'tallyRebuild.generation': generation };
+  let retired;
+
+  try {
+    const counters = new Map();
+    const cursor = Vote.find(
+      { votingSessionId: votingSession.id, invalidatedAt: null },
+      { companyId: 1, votes: 1, moderation: 1, sessionVersion: 1, tallyRevision: 1 }
+    ).lean().cursor();
+    let batch = [];
+
+    const flush = async () => {
+      await countRebuildBatch(votingSession, generation, batch, counters);
+      batch = [];
+
+      const renewed = await VotingSession.updateOne(owned, {
+        $set: { 'tallyRebuild.lockedUntil': new Date(Date.now() + TALLY_REBUILD_LOCK_MS) }
+      });
+      if (renewed.matchedCount === 0) {
+        throw new Error('Tally rebuild lock was lost');
+      }
+    };
+
+    for await (const voteDoc of cursor) {
+      batch.push(voteDoc);
+      if (batch.length >= TALLY_REBUILD_BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    // Live votes may already have created some of these counters
+    const operations = [...counters.values()].map(({ count, ...key }) => ({
+      updateOne: {
+        filter: { votingSessionId: votingSession.id, generation, ...key },
+        update: { $inc: { count } },
+        upsert: true
+      }
+    }));
+    for (let i = 0; i < operations.length; i += TALLY_REBUILD_BATCH_SIZE) {
+      await Tally.bulkWrite(operations.slice(i, i + TALLY_REBUILD_BATCH_SIZE));
+    }
+
+    // Returns the session as it was before, to know which generation retired
+    const talliesBuiltAt = new Date();
+    const swapped = await VotingSession.findOneAndUpdate(owned, {
+      $set: { tallyGeneration: generation, talliesBuiltAt, tallyFormat: TALLY_FORMAT },
+      $unset: { tallyRebuild: 1 }
+    }, { new: false, projection: { tallyGeneration: 1 } }).lean();
+    if (!swapped) {
+      throw new Error('Tally rebuild lock was lost');
+    }
+    retired = swapped.tallyGeneration || null;
+
+    votingSession.tallyGeneration = generation;
+    votingSession.talliesBuiltAt = talliesBuiltAt;
+    votingSession.tallyFormat = TALLY_FORMAT;
+  } catch (error) {
+    await VotingSession.updateOne(owned, { $unset: { tallyRebuild: 1 } });
+    await retireTallyGeneration(votingSession.id, generation);
+    throw error;
+  }
+
+  // Only the generation that was replaced: a newer rebuild may already be
+  // counting into another one. Counters from before generations have none.
+  await retireTallyGeneration(votingSession.id, retired);
+}
+
+// Approved responses to a text section, newest first, a page at a time.
+// cursor is the nextCursor of the previous page.
+async function listTextResponses(votingSession, sectionId, { companyId, cursor } = {}) {
+  const filter = {
+    votingSessionId: votingSession.id,
+    invalidatedAt: null,
+    [`votes.${sectionId}`]: /\S/,
+    ...approvedResponseFilter(sectionId)
+  };
+  if (companyId) {
+    filter.companyId = companyId;
+  }
+
+  if (cursor) {
+    const [time, id] = String(cursor).split('.');
+    const timestamp = new Date(Number(time));
+    if (Number.isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return { error: 'Invalid cursor' };
+    }
+
+    filter.$and = [{
+      $or: [
+        { timestamp: { $lt: timestamp } },
+        { timestamp, _id: { $lt: new mongoose.Types.ObjectId(id) } }
+      ]
+    }];
+  }
+
+  const voteDocs = await Vote.find(filter, {
+    timestamp: 1,
+    [`votes.${sectionId}`]: 1,
+    [`moderation.${sectionId}`]: 1
+  })
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(TEXT_RESPONSE_PAGE_SIZE + 1)
+    .lean();
+
+  const page = voteDocs.slice(0, TEXT_RESPONSE_PAGE_SIZE);
+  const last = page[page.length - 1];
+
+  return {
+    responses: page.map(voteDoc => ({
+      response: getPublishedResponse(voteDoc, sectionId),
+      timestamp: voteDoc.timestamp
+    })),
+    nextCursor: voteDocs.length > TEXT_RESPONSE_PAGE_SIZE ? `${last.timestamp.getTime()}.${last._id}` : null
+  };
+}
+
+// Generation results should be read from, rebuilding first if the counters
+// are missing or outdated. Read from the database since a rebuild elsewhere
+// may have swapped generations since votingSession was loaded.
+async function getTallyGeneration(votingSession) {
+  const current = await VotingSession.findOne(
+    { id: votingSession.id },
+    { tallyGeneration: 1, talliesBuiltAt: 1, tallyFormat: 1 }
+  ).lean() || votingSession;
+
+  if (!current.tallyGeneration || !current.talliesBuiltAt || current.tallyFormat !== TALLY_FORMAT) {
+    await rebuildTallies(votingSession);
+    return votingSession.tallyGeneration;
+  }
+
+  return current.tallyGeneration;
+}
+
+// Run read(generation) on the generation results come from. Read again if a
+// rebuild swapped generations meanwhile, since the old one is deleted right
+// after the swap.
+async function readTallyGeneration(votingSession, read) {
+  for (;;) {
+    const generation = await getTallyGeneration(votingSession);
+    const result = await read(generation);
+
+    const current = await VotingSession.findOne({ id: votingSession.id }, { tallyGeneration: 1 }).lean();
+    if (!current || current.tallyGeneration === generation) {
+      return result;
+    }
+  }
+}
+
+// Counter totals by section and option
+function readTallies(votingSession, match) {
+  return readTallyGeneration(votingSession, generation => Tally.aggregate([
+    { $match: { ...match, generation } },
+    {
+      $group: {
+        _id: { sectionId: '$sectionId', option: '$option' },
+        count: { $sum: '$count' }
+      }
+    }
+  ]));
+}
+
+// Build formatted results for a session, optionally limited to one company
+async function buildResults(votingSession, companyId, { textResponses = true } = {}) {
+  const match = { votingSessionId: votingSession.id };
+  if (companyId) {
+    match.companyId = companyId;
+  }
+
+  const counters = await readTallies(votingSession, match);
+
+  let totalVotes = 0;
+  const versionVotes = {};
+  const counts = {};
+
+  counters.forEach(({ _id, count }) => {
+    if (!_id.sectionId) {
+      if (_id.option === null) {
+        totalVotes = count;
+      } else {
+        versionVotes[_id.option.replace('version:', '')] = count;
+      }
+      return;
+    }
+
+    counts[_id.sectionId] = counts[_id.sectionId] || {};
+    counts[_id.sectionId][_id.option] = count;
+  });
+
+  // The newest page of each text section's raw responses
+  const responsePages = {};
+  if (textResponses) {
+    for (const section of votingSession.sections.filter(s => s.type === 'text-input')) {
+      responsePages[section.id] = await listTextResponses(votingSession, section.id, { companyId });
+    }
+  }
+
+  const results = {};
+
+  votingSession.sections.forEach(section => {
+    if (section.type === 'text-input') {
+      const spellingCounts = counts[section.id] || {};
+
+      results[section.id] = {
+        type: section.type,
+        label: section.label,
+        responseCount: Object.values(spellingCounts).reduce((sum, count) => sum + count, 0),
+        ...(textResponses ? {
+          ...responsePages[section.id],
+          ...getTextAggregate(`${votingSession.id}:${companyId || ''}:${section.id}`, spellingCounts)
+        } : {})
+      };
+    } else if (section.type === 'ranked-choice') {
+      const ballots = Object.entries(counts[section.id] || {})
+        .map(([ranking, count]) => ({ ranking: JSON.parse(ranking), count }));
+      const firstPreferences = {};
+
+      ballots.forEach(({ ranking, count }) => {
+        firstPreferences[ranking[0]] = (firstPreferences[ranking[0]] || 0) + count;
+      });
+
+      const { rounds, winner } = runInstantRunoff(section, ballots);
+
+      results[section.id] = {
+        type: section.type,
+        label: section.label,
+        options: section.options
+          .map(option => ({
+            name: option.name,
+            votes: firstPreferences[option.name] || 0,
+            imageUrl: option.imageUrl,
+            imageId: option.imageId
+          }))
+          .sort((a, b) => b.votes - a.votes),
+        totalBallots: ballots.reduce((sum, ballot) => sum + ballot.count, 0),
+        rounds,
+        winner
+      };
+    } else if (section.type === 'rating') {
+      const scoreCounts = {};
+
+      Object.entries(counts[section.id] || {}).forEach(([key, count]) => {
+        const [option, value] = JSON.parse(key);
+        scoreCounts[option] = scoreCounts[option] || {};
+        scoreCounts[option][value] = count;
+      });
+
+      results[section.id] = {
+        type: section.type,
+        label: section.label,
+        scaleMin: section.scaleMin,
+        scaleMax: section.scaleMax,
+        scaleStep: section.scaleStep,
+        options: section.options
+          .map(option => {
+            const summary = summarizeScores(section, scoreCounts[option.name] || {});
+
+            return {
+              name: option.name,
+              imageUrl: option.imageUrl,
+              imageId: option.imageId,
+              votes: summary.count,
+              ...summary
+            };
+          })
+          // Highest mean first; options nobody rated go last
+          .sort((a, b) => {
+            if (a.mean === null || b.mean === null) {
+              return (a.mean === null) - (b.mean === null);
+            }
+            return b.mean - a.mean;
+          })
+      };
+    } else if (section.type === 'scale') {
+      results[section.id] = {
+        type: section.type,
+        label: section.label,
+        scaleMin: section.scaleMin,
+        scaleMax: section.scaleMax,
+        scaleStep: section.scaleStep,
+        ...summarizeScores(section, counts[section.id] || {})
+      };
+    } else {
+      const sectionCounts = counts[section.id] || {};
+
+      results[section.id] = {
+        type: section.type,
+        label: section.label,
+        options: section.options
+          .map(option => ({
+            name: option.name,
+            votes: sectionCounts[option.name] || 0,
+            imageUrl: option.imageUrl,
+            imageId: option.imageId
+          }))
+          .sort((a, b) => b.votes - a.votes)
+      };
+    }
+  });
+
+  // Which session definition the counted ballots were cast under
+  const versions = [
+    ...(votingSession.history || []).map(entry => ({
+      version: entry.version,
+      title: entry.title,
+      replacedAt: entry.replacedAt
+    })),
+    { version: votingSession.version || 1, title: votingSession.title, replacedAt: null }
+  ].map(entry => ({ ...entry, votes: versionVotes[entry.version] || 0 }));
+
+  return { results, totalVotes, versions };
+}
+
+// Vote timeline
+//
+// Ballots per time bucket, overall, per company and per option of each select
+// section, read from the Vote collection when asked for. A bucket size that
+// would give more than MAX_TIMELINE_BUCKETS points is widened to the next
+// size that fits; the response says which size was used.
+
+const TIMELINE_BUCKET_SIZES = [10, 30, 60, 300, 900, 1800, 3600, 10800, 21600, 43200, 86400];
+const DEFAULT_TIMELINE_BUCKET = 60;
+const MAX_TIMELINE_BUCKETS = 720;
+
+// Returns { bucketSeconds } or { error }
+function parseTimelineBucket(value) {
+  if (value === undefined || value === '') {
+    return { bucketSeconds: DEFAULT_TIMELINE_BUCKET };
+  }
+
+  const bucketSeconds = Number(value);
+  if (!TIMELINE_BUCKET_SIZES.includes(bucketSeconds)) {
+    return { error: `bucket must be one of: ${TIMELINE_BUCKET_SIZES.join(', ')} (seconds)` };
+  }
+
+  return { bucketSeconds };
+}
+
+// Cumulative leader of a section after each bucket. A leader keeps the lead
+// while tied; a change is recorded when another option overtakes it, or a
+// tie when several overtake it in the same bucket.
+function findLeaderChanges(options, starts) {
+  const totals = options.map(() => 0);
+  const changes = [];
+  let leader = null;
+
+  starts.forEach((at, index) => {
+    options.forEach((option, i) => {
+      totals[i] += option.votes[index];
+    });
+
+    const top = Math.max(0, ...totals);
+    if (top === 0) return;
+
+    const leaders = options.filter((option, i) => totals[i] === top).map(option => option.name);
+    if (leaders.includes(leader)) return;
+
+    const next = leaders.length === 1 ? leaders[0] : null;
+    if (next === null && leader === null && changes.length > 0) return;
+
+    changes.push({ at, leader: next, previous: leader, tied: next === null ? leaders : undefined, votes: top });
+    leader = next;
+  });
+
+  return changes;
+}
+
+async function buildTimeline(votingSession, { companyId, bucketSeconds = DEFAULT_TIMELINE_BUCKET, byCompany = false } = {}) {
+  const match = { votingSessionId: votingSession.id, invalidatedAt: null };
+  if (companyId) {
+    match.companyId = companyId;
+  }
+
+  const [range] = await Vote.aggregate([
+    { $match: match },
+    { $group: { _id: null, first: { $min: '$timestamp' }, last: { $max: '$timestamp' } } }
+  ]);
+
+  const requestedBucketSeconds = bucketSeconds;
+  const selectSections = votingSession.sections.filter(section =>
+    section.type === 'single-select' || section.type === 'multi-select'
+  );
+
+  if (!range) {
+    return {
+      bucketSeconds,
+      requestedBucketSeconds,
+      buckets: [],
+      votes: [],
+      companies: byCompany ? [] : undefined,
+      sections: selectSections.map(section => ({
+        id: section.id,
+        label: section.label,
+        type: section.type,
+        options: section.options.map(option => ({ name: option.name, votes: [] })),
+        leaderChanges: []
+      }))
+    };
+  }
+
+  const span = range.last.getTime() - range.first.getTime();
+  bucketSeconds = TIMELINE_BUCKET_SIZES.find(size =>
+    size >= requestedBucketSeconds && span / (size * 1000) < MAX_TIMELINE_BUCKETS
+  ) || TIMELINE_BUCKET_SIZES[TIMELINE_BUCKET_SIZES.length - 1];
+
+  const bucketMs = bucketSeconds * 1000;
+  const firstBucket = range.first.getTime() - (range.first.getTime() % bucketMs);
+  const bucketCount = Math.floor((range.last.getTime() - firstBucket) / bucketMs) + 1;
+  const starts = Array.from({ length: bucketCount }, (_, i) => new Date(firstBucket + i * bucketMs));
+  const bucketOf = {
+    $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }]
+  };
+  const indexOf = bucket => Math.round((bucket - firstBucket) / bucketMs);
+
+  const companyCounts = await Vote.aggregate([
+    { $match: match },
+    { $group: { _id: { bucket: bucketOf, companyId: '$companyId' }, count: { $sum: 1 } } }
+  ]);
+
+  const votes = starts.map(() => 0);
+  const perCompany = new Map();
+
+  companyCounts.forEach(({ _id, count }) => {
+    const index = indexOf(_id.bucket);
+    votes[index] += count;
+
+    if (!perCompany.has(_id.companyId)) {
+      perCompany.set(_id.companyId, starts.map(() => 0));
+    }
+    perCompany.get(_id.companyId)[index] += count;
+  });
+
+  let companies;
+  if (byCompany) {
+    const companyNames = await getCompanyNames();
+    companies = [...perCompany.entries()]
+      .map(([id, counts]) => ({
+        id,
+        name: companyNames.get(id) || id,
+        total: counts.reduce((sum, count) => sum + count, 0),
+        votes: counts
+      }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  const sections = [];
+  for (const section of selectSections) {
+    const optionCounts = await Vote.aggregate([
+      { $match: { ...match, [`votes.${section.id}`]: { $exists: true } } },
+      { $project: { bucket: bucketOf, option: `$votes.${section.id}` } },
+      { $unwind: '$option' },
+      { $group: { _id: { bucket: '$bucket', option: '$option' }, count: { $sum: 1 } } }
+    ]);
+
+    const options = section.options.map(option => ({ name: option.name, votes: starts.map(() => 0) }));
+    const byName = new Map(options.map(option => [option.name, option]));
+
+    optionCounts.forEach(({ _id, count }) => {
+      const option = byName.get(_id.option);
+      if (option) {
+        option.votes[indexOf(_id.bucket)] += count;
+      }
+    });
+
+    sections.push({
+      id: section.id,
+      label: section.label,
+      type: section.type,
+      options,
+      leaderChanges: findLeaderChanges(options, starts)
+    });
+  }
+
+  return {
+    bucketSeconds,
+    requestedBucketSeconds,
+    buckets: starts,
+    votes,
+    companies,
+    sections
+  };
+}
+
+// Companies
+//
+// A company is addressed by its generated id or, once set, its custom slug.
+// Links handed to voters use the slug so printed cards stay readable.
+
+const COMPANY_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$/;
+const GENERATED_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Most rows a single company import may contain
+const MAX_COMPANY_IMPORT_ROWS = 1000;
+
+const QR_FORMATS = ['png', 'svg'];
+const QR_LINK_KINDS = ['voting', 'results'];
+const DEFAULT_QR_SIZE = 512;
+const MAX_QR_SIZE = 2048;
+
+let qrcodeModule = null;
+
+function loadQRCode() {
+  if (!qrcodeModule) {
+    try {
+      qrcodeModule = require('qrcode');
+    } catch (error) {
+      console.error('Error loading qrcode, QR codes are disabled until it is installed (npm install qrcode):', error.message);
+      return null;
+    }
+  }
+
+  return qrcodeModule;
+}
+
+// Look a company up by id or slug
+async function findCompany(ref) {
+  if (typeof ref !== 'string' || !ref) {
+    return null;
+  }
+
+  return Company.findOne({ $or: [{ id: ref }, { slug: ref.toLowerCase() }] });
+}
+
+function normalizeCompanyName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function validateHeadcount(headcount) {
+  if (headcount === undefined || headcount === null || headcount === '') {
+    return null;
+  }
+
+  if (!Number.isInteger(headcount) || headcount < 1 || headcount > 1000000) {
+    return 'headcount must be a whole number from 1 to 1000000';
+  }
+
+  return null;
+}
+
+function getSlugFormatError(slug) {
+  if (typeof slug !== 'string' || !COMPANY_SLUG_PATTERN.test(slug)) {
+    return 'slug must be 3 to 64 lowercase letters, digits or hyphens, and start and end with a letter or digit';
+  }
+
+  if (GENERATED_ID_PATTERN.test(slug)) {
+    return 'slug cannot look like a generated company ID';
+  }
+
+  return null;
+}
+
+// Returns an error message, or null when companyId (if any) may use the slug
+async function validateSlug(slug, companyId) {
+  const formatError = getSlugFormatError(slug);
+  if (formatError) {
+    return formatError;
+  }
+
+  const taken = await Company.findOne({ slug, id: { $ne: companyId || null } });
+  return taken ? `The slug "${slug}" is already used by ${taken.name}` : null;
+}
+
+// Returns an error message, or null when no other company has the name
+async function validateCompanyName(name, companyId) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Company name is required';
+  }
+
+  const existing = await Company.findOne(
+    { nameKey: normalizeCompanyName(name), id: { $ne: companyId || null } },
+    { name: 1 }
+  ).lean();
+
+  return existing ? `A company named "${existing.name}" already exists` : null;
+}
+
+// Whether a save failed because another company took the name or slug
+// after it was checked
+function getCompanyConflict(error) {
+  if (error.code !== 11000) {
+    return null;
+  }
+
+  const keys = Object.keys(error.keyPattern || error.keyValue || {});
+  if (keys.includes('nameKey')) {
+    return 'A company with this name already exists';
+  }
+  if (keys.includes('slug')) {
+    return 'This slug is already used by another company';
+  }
+  return null;
+}
+
+// Fill in nameKey on companies from before it existed. Companies whose names
+// already clash are reported and left without one.
+async function backfillCompanyNameKeys() {
+  const companies = await Company.find({ nameKey: { $exists: false } }, { id: 1, name: 1 }).lean();
+
+  for (const company of companies) {
+    try {
+      await Company.updateOne({ id: company.id }, { $set: { nameKey: normalizeCompanyName(company.name) } });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      console.error(`Company "${company.name}" (${company.id}) has the same name as another company; rename one of them`);
+    }
+  }
+}
+
+// Records of a CSV document as arrays of strings. Quoted fields may contain
+// commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+// Sort the rows of a company CSV (columns: name, and optionally slug and
+// headcount) into companies to create and rows to skip. Rows are skipped when
+// they are invalid or duplicate an existing company or an earlier row.
+async function planCompanyImport(csv) {
+  const records = parseCsv(csv.replace(/^\uFEFF/, ''))
+    .map((values, index) => ({ values, row: index + 1 }))
+    .filter(({ values }) => values.some(value => value.trim() !== ''));
+
+  if (records.length < 2) {
+    return { error: 'The CSV needs a header row and at least one company' };
+  }
+
+  const header = records[0].values.map(value => value.trim().toLowerCase());
+  const columns = {
+    name: header.indexOf('name'),
+    slug: header.indexOf('slug'),
+    headcount: header.indexOf('headcount')
+  };
+
+  if (columns.name === -1) {
+    return { error: 'The CSV needs a "name" column' };
+  }
+
+  if (records.length - 1 > MAX_COMPANY_IMPORT_ROWS) {
+    return { error: `A single import can add at most ${MAX_COMPANY_IMPORT_ROWS} companies` };
+  }
+
+  const existing = await Company.find({}, { name: 1, slug: 1 }).lean();
+  const names = new Map(existing.map(company => [normalizeCompanyName(company.name), `Already exists as "${company.name}"`]));
+  const slugs = new Map(existing.filter(company => company.slug).map(company => [company.slug, `Slug already used by ${company.name}`]));
+
+  const companies = [];
+  const skipped = [];
+
+  records.slice(1).forEach(({ values, row }) => {
+    const read = column => (columns[column] === -1 ? '' : (values[columns[column]] || '').trim());
+    const name = read('name');
+    const slug = read('slug').toLowerCase();
+    const headcountText = read('headcount');
+    const headcount = headcountText ? Number(headcountText) : null;
+
+    const reason = !name
+      ? 'Name is missing'
+      : names.get(normalizeCompanyName(name)) ||
+        (slug && (getSlugFormatError(slug) || slugs.get(slug))) ||
+        validateHeadcount(headcount);
+
+    if (reason) {
+      skipped.push({ row, name, reason });
+      return;
+    }
+
+    names.set(normalizeCompanyName(name), `Duplicate of row ${row}`);
+    if (slug) {
+      slugs.set(slug, `Slug duplicates row ${row}`);
+    }
+
+    companies.push({ row, name, slug: slug || null, headcount });
+  });
+
+  return { companies, skipped };
+}
+
+// Where the voting pages are served. Set PUBLIC_URL when the API is reached
+// through a different host than the pages.
+function getPublicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// The company's voting link, and its results link for a session open to it
+// (by default the most recent current session). results is null when no
+// session qualifies.
+async function getCompanyLinks(req, company, votingSessionId) {
+  const base = getPublicBaseUrl(req);
+  const ref = company.slug || company.id;
+
+  const session = votingSessionId
+    ? await VotingSession.findOne({ id: votingSessionId })
+    : (await getCurrentVotings(company.id))[0];
+
+  const hasResults = session && sessionAppliesToCompany(session, company.id);
+
+  return {
+    voting: `${base}/index.html?${new URLSearchParams({ companyId: ref })}`,
+    results: hasResults
+      ? `${base}/results.html?${new URLSearchParams({ sessionId: session.id, companyId: ref })}`
+      : null,
+    votingSessionId: hasResults ? session.id : null
+  };
+}
+
+function toCompanySummary(company) {
+  return {
+    id: company.id,
+    name: company.name,
+    slug: company.slug || null,
+    headcount: company.headcount || null
+  };
+}
+
+// Company comparison
+//
+// Puts every company's results for a session next to the overall result.
+// Option sections compare each option's share of the section's votes, rating
+// and scale sections compare average scores. Text sections are left out.
+
+const COMPARISON_SECTION_TYPES = ['single-select', 'multi-select', 'ranked-choice', 'rating', 'scale'];
+
+// Share difference (percentage points) that flags an option as divergent
+const SHARE_DIVERGENCE_POINTS = 15;
+
+// Score difference, as a fraction of the scale's range, that flags divergence
+const SCORE_DIVERGENCE_FRACTION = 0.15;
+
+// Access codes issued for a session, by company id
+async function getIssuedCodeCounts(votingSessionId) {
+  const counts = await AccessCode.aggregate([
+    { $match: { votingSessionId } },
+    { $group: { _id: '$companyId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+}
+
+// How many people could vote for a company: issued access codes when the
+// session requires them (issuedCodes from getIssuedCodeCounts), otherwise
+// the company's headcount
+function getEligibleVoters(votingSession, company, issuedCodes) {
+  if (votingSession.requireAccessCode) {
+    return issuedCodes.get(company.id) || null;
+  }
+
+  return company.headcount || null;
+}
+
+function toPercentage(part, whole) {
+  return whole > 0 ? Number((part / whole * 100).toFixed(1)) : null;
+}
+
+// Companies ranked by participation rate, then by votes. Companies without a
+// known number of eligible voters are ranked by votes after the others.
+async function buildLeaderboard(votingSession) {
+  const companies = (await Company.find().sort({ name: 1 }))
+    .filter(company => sessionAppliesToCompany(votingSession, company.id));
+  const voteCounts = await getVoteCountsByCompany(votingSession);
+  const issuedCodes = votingSession.requireAccessCode ? await getIssuedCodeCounts(votingSession.id) : null;
+
+  const entries = companies.map(company => {
+    const votes = voteCounts.get(company.id) || 0;
+    const eligible = getEligibleVoters(votingSession, company, issuedCodes);
+
+    return {
+      companyId: company.id,
+      name: company.name,
+      votes,
+      eligible,
+      participationRate: eligible ? toPercentage(votes, eligible) : null
+    };
+  });
+
+  entries.sort((a, b) => {
+    if ((a.participationRate === null) !== (b.participationRate === null)) {
+      return a.participationRate === null ? 1 : -1;
+    }
+    return (b.participationRate || 0) - (a.participationRate || 0) || b.votes - a.votes;
+  });
+
+  entries.forEach((entry, index) => {
+    const previous = entries[index - 1];
+    entry.rank = previous && previous.participationRate === entry.participationRate && previous.votes === entry.votes
+      ? previous.rank
+      : index + 1;
+  });
+
+  return entries;
+}
+
+// Comparable figures for one section of a results object: each option's share
+// or mean, the number of ballots behind them and the leading option
+function summarizeForComparison(section, sectionResults) {
+  if (section.type === 'scale') {
+    return {
+      ballots: sectionResults.count,
+      mean: sectionResults.mean,
+      leader: null
+    };
+  }
+
+  if (section.type === 'rating') {
+    const rated = sectionResults.options.filter(option => option.mean !== null);
+    const top = rated.length > 0 ? rated[0].mean : null;
+    const leaders = rated.filter(option => option.mean === top);
+
+    return {
+      ballots: Math.max(0, ...sectionResults.options.map(option => option.count)),
+      options: section.options.map(option => ({
+        name: option.name,
+        value: sectionResults.options.find(result => result.name === option.name).mean
+      })),
+      leader: leaders.length === 1 ? leaders[0].name : null
+    };
+  }
+
+  const total = section.type === 'ranked-choice'
+    ? sectionResults.totalBallots
+    : sectionResults.options.reduce((sum, option) => sum + option.votes, 0);
+  const top = sectionResults.options.length > 0 ? sectionResults.options[0].votes : 0;
+  const leaders = sectionResults.options.filter(option => option.votes === top);
+
+  let leader = top > 0 && leaders.length === 1 ? leaders[0].name : null;
+  if (section.type === 'ranked-choice') {
+    leader = sectionResults.winner;
+  }
+
+  return {
+    ballots: total,
+    options: section.options.map(option => ({
+      name: option.name,
+      value: toPercentage(sectionResults.options.find(result => result.name === option.name).votes, total)
+    })),
+    leader
+  };
+}
+
+function difference(value, globalValue) {
+  return value === null || globalValue === null ? null : Number((value - globalValue).toFixed(2));
+}
+
+async function buildComparison(votingSession) {
+  const leaderboard = await buildLeaderboard(votingSession);
+  const overall = await buildResults(votingSession, null, { textResponses: false });
+  const companyResults = [];
+
+  for (const entry of leaderboard) {
+    const { results } = await buildResults(votingSession, entry.companyId, { textResponses: false });
+    companyResults.push({ entry, results });
+  }
+
+  const sections = votingSession.sections
+    .filter(section => COMPARISON_SECTION_TYPES.includes(section.type))
+    .map(section => {
+      const global = summarizeForComparison(section, overall.results[section.id]);
+      const measure = ['rating', 'scale'].includes(section.type) ? 'mean' : 'share';
+      const threshold = measure === 'share'
+        ? SHARE_DIVERGENCE_POINTS
+        : (section.scaleMax - section.scaleMin) * SCORE_DIVERGENCE_FRACTION;
+
+      const companies = companyResults.map(({ entry, results }) => {
+        const summary = summarizeForComparison(section, results[section.id]);
+        const company = { companyId: entry.companyId, name: entry.name, ballots: summary.ballots };
+
+        if (section.type === 'scale') {
+          company.mean = summary.mean;
+          company.difference = difference(summary.mean, global.mean);
+          company.divergent = company.difference !== null && Math.abs(company.difference) >= threshold;
+          return company;
+        }
+
+        company.options = summary.options.map(option => {
+          const globalValue = global.options.find(globalOption => globalOption.name === option.name).value;
+          return { ...option, difference: difference(option.value, globalValue) };
+        });
+        company.leader = summary.leader;
+        company.divergentOptions = company.options
+          .filter(option => option.difference !== null && Math.abs(option.difference) >= threshold)
+          .map(option => option.name);
+        company.leaderDiffers = summary.ballots > 0 && summary.leader !== global.leader;
+        company.divergent = company.leaderDiffers || company.divergentOptions.length > 0;
+        return company;
+      });
+
+      return {
+        id: section.id,
+        label: section.label,
+        type: section.type,
+        measure,
+        divergenceThreshold: Number(threshold.toFixed(2)),
+        global,
+        companies
+      };
+    });
+
+  return {
+    votingSessionId: votingSession.id,
+    title: votingSession.title,
+    totalVotes: overall.totalVotes,
+    leaderboard,
+    sections
+  };
+}
+
+// Session editing
+//
+// Ballots store option names, so removing or renaming an option that already
+// has votes needs an explicit migration: move its votes to another option
+// (optionMigrations[sectionId][oldName] = newName) or discard them (null).
+
+const MIGRATION_BATCH_SIZE = 500;
+
+// Option names referenced by the session's ballots, and which sections were answered
+async function getOptionUsage(votingSession) {
+  const usage = { answered: new Set(), options: {} };
+  const cursor = Vote.find({ votingSessionId: votingSession.id }).lean().cursor();
+
+  for await (const voteDoc of cursor) {
+    const voteData = getVoteData(voteDoc);
+
+    votingSession.sections.forEach(section => {
+      const value = voteData[section.id];
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      usage.answered.add(section.id);
+      usage.options[section.id] = usage.options[section.id] || new Set();
+
+      let used = [];
+      if (Array.isArray(value)) {
+        used = value;
+      } else if (typeof value === 'object') {
+        used = Object.keys(value);
+      } else if (section.type !== 'text-input' && section.type !== 'scale') {
+        used = [value];
+      }
+
+      used.forEach(option => usage.options[section.id].add(option));
+    });
+  }
+
+  return usage;
+}
+
+// Check an edit against the safety rules. Returns { error, status, conflicts }
+// when it cannot be applied, otherwise { migrations } for the affected sections.
+function planSessionEdit(votingSession, newSections, usage, optionMigrations, removedSections) {
+  const conflicts = [];
+  const migrations = {};
+
+  for (const oldSection of votingSession.sections) {
+    const newSection = newSections.find(section => section.id === oldSection.id);
+    const answered = usage.answered.has(oldSection.id);
+
+    if (!newSection) {
+      if (answered && !removedSections.includes(oldSection.id)) {
+        conflicts.push({ type: 'section-removed', sectionId: oldSection.id, label: oldSection.label });
+      }
+      continue;
+    }
+
+    if (!answered) {
+      continue;
+    }
+
+    if (newSection.type !== oldSection.type) {
+      return {
+        status: 400,
+        error: `Section "${oldSection.label}" already has votes, so its type cannot be changed`
+      };
+    }
+
+    if ((oldSection.type === 'rating' || oldSection.type === 'scale') &&
+        (Number(newSection.scaleMin ?? 1) !== oldSection.scaleMin ||
+         Number(newSection.scaleMax ?? 5) !== oldSection.scaleMax ||
+         Number(newSection.scaleStep ?? 1) !== oldSection.scaleStep)) {
+      return {
+        status: 400,
+        error: `Section "${oldSection.label}" already has votes, so its scale cannot be changed`
+      };
+    }
+
+    const newOptionNames = (newSection.options || []).map(option => option.name);
+    const sectionMigrations = (optionMigrations && optionMigrations[oldSection.id]) || {};
+    const used = usage.options[oldSection.id] || new Set();
+
+    for (const option of oldSection.options || []) {
+      if (newOptionNames.includes(option.name) || !used.has(option.name)) {
+        continue;
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(sectionMigrations, option.name)) {
+        conflicts.push({ type: 'option-removed', sectionId: oldSection.id, label: oldSection.label, option: option.name });
+        continue;
+      }
+
+      const target = sectionMigrations[option.name];
+      if (target !== null && !newOptionNames.includes(target)) {
+        return {
+          status: 400,
+          error: `Votes for "${option.name}" in "${oldSection.label}" can only move to an option that still exists`
+        };
+      }
+
+      migrations[oldSection.id] = migrations[oldSection.id] || { type: oldSection.type, mapping: new Map() };
+      migrations[oldSection.id].mapping.set(option.name, target);
+    }
+  }
+
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      error: 'Some removed sections or options already have votes. Choose what happens to them and try again.',
+      conflicts
+    };
+  }
+
+  return { migrations };
+}
+
+// Apply an option mapping to one section answer; undefined means "remove the answer"
+function migrateSectionVote(type, value, mapping) {
+  const mapOption = option => (mapping.has(option) ? mapping.get(option) : option);
+
+  if (type === 'single-select') {
+    const mapped = mapOption(value);
+    return mapped === null ? undefined : mapped;
+  }
+
+  if (type === 'multi-select' || type === 'ranked-choice') {
+    if (!Array.isArray(value)) {
+      return value;
+    }
+
+    const mapped = [...new Set(value.map(mapOption).filter(option => option !== null))];
+    return mapped.length > 0 ? mapped : undefined;
+  }
+
+  if (type === 'rating') {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    // A moved score never overwrites a score the voter gave the target directly
+    const migrated = {};
+    Object.entries(value)
+      .filter(([option]) => !mapping.has(option))
+      .forEach(([option, score]) => {
+        migrated[option] = score;
+      });
+    Object.entries(value)
+      .filter(([option]) => mapping.get(option) && !Object.prototype.hasOwnProperty.call(migrated, mapping.get(option)))
+      .forEach(([option, score]) => {
+        migrated[mapping.get(option)] = score;
+      });
+
+    return Object.keys(migrated).length > 0 ? migrated : undefined;
+  }
+
+  return value;
+}
+
+// Rewrite stored ballots according to the planned migrations; returns the number changed
+async function migrateVotes(votingSession, migrations) {
+  const sectionIds = Object.keys(migrations);
+  if (sectionIds.length === 0) {
+    return 0;
+  }
+
+  const cursor = Vote.find({ votingSessionId: votingSession.id }).lean().cursor();
+  let operations = [];
+  let migrated = 0;
+
+  for await (const voteDoc of cursor) {
+    const voteData = getVoteData(voteDoc);
+    const $set = {};
+    const $unset = {};
+
+    sectionIds.forEach(sectionId => {
+      const value = voteData[sectionId];
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      const { type, mapping } = migrations[sectionId];
+      const next = migrateSectionVote(type, value, mapping);
+
+      if (next === undefined) {
+        $unset[`votes.${sectionId}`] = 1;
+      } else if (JSON.stringify(next) !== JSON.stringify(value)) {
+        $set[`votes.${sectionId}`] = next;
+      }
+    });
+
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+      continue;
+    }
+
+    // The rebuild that follows recounts these; stale claims must not count old content
+    const update = { $inc: { tallyRevision: 1 } };
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    operations.push({ updateOne: { filter: { _id: voteDoc._id }, update } });
+    migrated++;
+
+    if (operations.length >= MIGRATION_BATCH_SIZE) {
+      await Vote.bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Vote.bulkWrite(operations);
+  }
+
+  return migrated;
+}
+
+// Results export
+//
+// Ballot and text exports walk a Vote cursor and write rows as they go, so
+// large sessions are never held in memory.
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  // Keep spreadsheet apps from evaluating voter-written text as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+// Write a chunk, waiting for the client to catch up when the buffer is full
+function writeChunk(res, chunk) {
+  // Nothing will drain or close once the client is gone
+  if (res.destroyed || res.writableEnded) {
+    return Promise.resolve();
+  }
+
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function startDownload(res, votingSession, name, format) {
+  const base = votingSession.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'voting-session';
+
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${base}-${name}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+}
+
+// One row per section/option/metric, the shape shared by the results CSV
+function flattenResults(results) {
+  const rows = [];
+
+  Object.entries(results).forEach(([sectionId, section]) => {
+    const add = (option, metric, value) => rows.push({
+      sectionId,
+      section: section.label,
+      type: section.type,
+      option,
+      metric,
+      value
+    });
+
+    if (section.type === 'text-input') {
+      add('', 'responses', section.responseCount);
+    } else if (section.type === 'ranked-choice') {
+      const finalRound = section.rounds.length > 0 ? section.rounds[section.rounds.length - 1].tallies : [];
+
+      add('', 'ballots', section.totalBallots);
+      section.options.forEach(option => {
+        const final = finalRound.find(tally => tally.name === option.name);
+        add(option.name, 'firstPreferences', option.votes);
+        add(option.name, 'finalRound', final ? final.votes : 0);
+        add(option.name, 'winner', section.winner === option.name ? 1 : 0);
+      });
+    } else if (section.type === 'rating') {
+      section.options.forEach(option => {
+        add(option.name, 'count', option.count);
+        add(option.name, 'mean', option.mean);
+        add(option.name, 'median', option.median);
+      });
+    } else if (section.type === 'scale') {
+      add('', 'count', section.count);
+      add('', 'mean', section.mean);
+      add('', 'median', section.median);
+      section.histogram.forEach(bucket => add(String(bucket.value), 'votes', bucket.count));
+    } else {
+      section.options.forEach(option => add(option.name, 'votes', option.votes));
+    }
+  });
+
+  return rows;
+}
+
+// Ballot columns: one per section, one per option for rating sections and
+// one per rank for ranked-choice sections
+function getBallotColumns(votingSession) {
+  const columns = [];
+
+  votingSession.sections.forEach(section => {
+    const add = (header, value) => columns.push({ header, sectionId: section.id, value });
+
+    if (section.type === 'rating') {
+      section.options.forEach(option => {
+        add(`${section.id}: ${option.name}`, answer => (answer && typeof answer === 'object' ? answer[option.name] : undefined));
+      });
+    } else if (section.type === 'ranked-choice') {
+      section.options.forEach((option, index) => {
+        add(`${section.id} #${index + 1}`, answer => (Array.isArray(answer) ? answer[index] : undefined));
+      });
+    } else if (section.type === 'multi-select') {
+      add(section.id, answer => (Array.isArray(answer) ? answer.join('; ') : answer));
+    } else {
+      add(section.id, answer => answer);
+    }
+  });
+
+  return columns;
+}
+
+async function getCompanyNames() {
+  const companies = await Company.find({}, { id: 1, name: 1 }).lean();
+  return new Map(companies.map(company => [company.id, company.name]));
+}
+
+// Errors after the first byte can only be reported by cutting the download short
+function endFailedExport(res, error) {
+  if (res.headersSent) {
+    res.destroy(error);
+  } else {
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Aggregated results overall and for each company that voted, or only for
+// one company when companyId is given
+async function streamResultsExport(res, session, format, companyId) {
+  const overall = companyId ? null : await buildResults(session, null, { textResponses: false });
+  const votedCompanyIds = companyId
+    ? [companyId]
+    : await Tally.distinct('companyId', {
+      votingSessionId: session.id,
+      generation: await getTallyGeneration(session),
+      sectionId: null,
+      option: null,
+      count: { $gt: 0 }
+    });
+  const companies = await Company.find({ id: { $in: votedCompanyIds } }).sort({ name: 1 });
+
+  startDownload(res, session, 'results', format);
+
+  if (format === 'csv') {
+    const writeScope = async (scope, company, built) => {
+      const prefix = [scope, company ? company.id : '', company ? company.name : ''];
+
+      await writeChunk(res, toCsvRow([...prefix, '', '', '', '', 'totalVotes', built.totalVotes]));
+
+      for (const row of flattenResults(built.results)) {
+        await writeChunk(res, toCsvRow([...prefix, row.sectionId, row.section, row.type, row.option, row.metric, row.value]));
+      }
+    };
+
+    await writeChunk(res, toCsvRow(['scope', 'companyId', 'company', 'sectionId', 'section', 'type', 'option', 'metric', 'value']));
+
+    if (overall) {
+      await writeScope('overall', null, overall);
+    }
+
+    for (const company of companies) {
+      // Stop building results for a client that went away
+      if (res.destroyed) return;
+      await writeScope('company', company, await buildResults(session, company.id, { textResponses: false }));
+    }
+  } else {
+    const header = {
+      session: { id: session.id, title: session.title, version: session.version },
+      exportedAt: new Date()
+    };
+
+    if (overall) {
+      header.overall = { totalVotes: overall.totalVotes, results: overall.results };
+    }
+
+    await writeChunk(res, JSON.stringify(header).slice(0, -1) + ',"companies":[');
+
+    for (const [index, company] of companies.entries()) {
+      if (res.destroyed) return;
+      const { totalVotes, results } = await buildResults(session, company.id, { textResponses: false });
+      await writeChunk(res, (index > 0 ? ',' : '') + JSON.stringify({
+        companyId: company.id,
+        company: company.name,
+        totalVotes,
+        results
+      }));
+    }
+
+    await writeChunk(res, ']}');
+  }
+
+  res.end();
+}
+
+// Every counted ballot with its answers. With approvedOnly, text answers are
+// exported as the public sees them: unapproved ones are left out and edited
+// ones show the edited text.
+async function streamBallotsExport(res, session, format, companyId, { approvedOnly = false } = {}) {
+  const filter = { votingSessionId: session.id, invalidatedAt: null };
+  if (companyId) {
+    filter.companyId = companyId;
+  }
+
+  const companyNames = await getCompanyNames();
+  const columns = getBallotColumns(session);
+
+  startDownload(res, session, 'ballots', format);
+  await writeChunk(res, format === 'csv'
+    ? toCsvRow(['ballot', 'timestamp', 'companyId', 'company', 'sessionVersion', ...columns.map(column => column.header)])
+    : '[');
+
+  const textSections = session.sections.filter(section => section.type === 'text-input');
+
+  const cursor = Vote.find(filter, { votes: 1, moderation: 1, companyId: 1, timestamp: 1, sessionVersion: 1 })
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+  let ballot = 0;
+
+  for await (const voteDoc of cursor) {
+    if (res.destroyed) {
+      await cursor.close();
+      return;
+    }
+
+    ballot++;
+    const voteData = { ...getVoteData(voteDoc) };
+    if (approvedOnly) {
+      textSections.forEach(section => {
+        const published = getPublishedResponse(voteDoc, section.id);
+        if (published === null) {
+          delete voteData[section.id];
+        } else {
+          voteData[section.id] = published;
+        }
+      });
+    }
+    const company = companyNames.get(voteDoc.companyId) || '';
+
+    if (format === 'csv') {
+      await writeChunk(res, toCsvRow([
+        ballot,
+        voteDoc.timestamp.toISOString(),
+        voteDoc.companyId,
+        company,
+        voteDoc.sessionVersion || 1,
+        ...columns.map(column => column.value(voteData[column.sectionId]))
+      ]));
+    } else {
+      await writeChunk(res, (ballot > 1 ? ',' : '') + JSON.stringify({
+        ballot,
+        timestamp: voteDoc.timestamp,
+        companyId: voteDoc.companyId,
+        company,
+        sessionVersion: voteDoc.sessionVersion || 1,
+        answers: voteData
+      }));
+    }
+  }
+
+  if (format === 'json') {
+    await writeChunk(res, ']');
+  }
+
+  res.end();
+}
+
+// Text answers with their moderation status. Organizers only get approved
+// answers, as the public would see them.
+async function streamTextExport(res, session, companyId, { approvedOnly = false } = {}) {
+  const textSections = session.sections.filter(section => section.type === 'text-input');
+
+  const filter = {
+    votingSessionId: session.id,
+    invalidatedAt: null,
+    $or: textSections.map(section => ({ [`votes.${section.id}`]: /\S/ }))
+  };
+  if (companyId) {
+    filter.companyId = companyId;
+  }
+
+  const projection = { companyId: 1, timestamp: 1 };
+  textSections.forEach(section => {
+    projection[`votes.${section.id}`] = 1;
+    projection[`moderation.${section.id}`] = 1;
+  });
+
+  const companyNames = await getCompanyNames();
+
+  startDownload(res, session, 'text-responses', 'csv');
+  await writeChunk(res, toCsvRow(approvedOnly
+    ? ['timestamp', 'companyId', 'company', 'sectionId', 'section', 'response']
+    : ['timestamp', 'companyId', 'company', 'sectionId', 'section', 'response', 'status', 'editedResponse']));
+
+  const cursor = Vote.find(filter, projection).sort({ timestamp: 1 }).lean().cursor();
+
+  for await (const voteDoc of cursor) {
+    if (res.destroyed) {
+      await cursor.close();
+      return;
+    }
+
+    const voteData = getVoteData(voteDoc);
+
+    for (const section of textSections) {
+      const response = voteData[section.id];
+      if (typeof response !== 'string' || response.trim() === '') {
+        continue;
+      }
+
+      const row = [
+        voteDoc.timestamp.toISOString(),
+        voteDoc.companyId,
+        companyNames.get(voteDoc.companyId) || '',
+        section.id,
+        section.label
+      ];
+
+      if (approvedOnly) {
+        const published = getPublishedResponse(voteDoc, section.id);
+        if (published === null) {
+          continue;
+        }
+        await writeChunk(res, toCsvRow([...row, published]));
+      } else {
+        const moderation = getModeration(voteDoc, section.id);
+        await writeChunk(res, toCsvRow([...row, response, moderation.status, moderation.text || '']));
+      }
+    }
+  }
+
+  res.end();
+}
+
+// Rate limiting
+//
+// Each limit allows `max` requests per IP address in a fixed window. Limits
+// can be changed with RATE_LIMIT_<NAME>="<max>/<seconds>" (or "off"), e.g.
+// RATE_LIMIT_VOTE="200/60" or RATE_LIMIT_VOTE_IP="600/60".
+//
+// Whole offices often vote and watch results from behind one NAT address,
+// so the vote, voting and results limits count per voter: the IP plus the
+// access code, or the device id the pages send (as deviceId) when there is
+// no code. Device ids are chosen by the client, so each of those limits also
+// has an <name>Ip cap on everything from one address. The caps only need
+// to cover a few hundred people, not let one address rotate ids freely.
+//
+// Counters live in a store with three async methods:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a new window when expired)
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+// The in-process store suits a single server. RATE_LIMIT_STORE=mongo keeps
+// counters in MongoDB so several servers share them. Any other value is the
+// path of a module exporting a function that returns a store (e.g. Redis).
+
+const RATE_LIMITS = {
+  vote: { max: 30, windowSeconds: 60 },
+  voteIp: { max: 300, windowSeconds: 60 },
+  voting: { max: 240, windowSeconds: 60 },
+  votingIp: { max: 1200, windowSeconds: 60 },
+  results: { max: 240, windowSeconds: 60 },
+  resultsIp: { max: 2400, windowSeconds: 60 },
+  organizer: { max: 120, windowSeconds: 60 },
+  login: { max: 20, windowSeconds: 15 * 60 }
+};
+
+// Failed logins for one account from one IP. After LOGIN_BACKOFF_AFTER
+// failures each further failure doubles the wait, up to LOGIN_BACKOFF_MAX_SECONDS.
+const LOGIN_BACKOFF_AFTER = 3;
+const LOGIN_BACKOFF_BASE_SECONDS = 30;
+const LOGIN_BACKOFF_MAX_SECONDS = 15 * 60;
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+function parseRateLimit(name, fallback) {
+  const variable = `RATE_LIMIT_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+  const value = process.env[variable];
+  if (!value) {
+    return fallback;
+  }
+
+  if (value === 'off') {
+    return null;
+  }
+
+  const [max, windowSeconds] = value.split('/').map(Number);
+  if (!Number.isInteger(max) || max < 1 || !Number.isInteger(windowSeconds) || windowSeconds < 1) {
+    console.error(`Ignoring invalid ${variable}="${value}"`);
+    return fallback;
+  }
+
+  return { max, windowSeconds };
+}
+
+Object.keys(RATE_LIMITS).forEach(name => {
+  RATE_LIMITS[name] = parseRateLimit(name, RATE_LIMITS[name]);
+});
+
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  // Drop expired counters so the map does not grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt.getTime() <= now) {
+        counter = { count: 0, resetAt: new Date(now + windowMs) };
+        counters.set(key, counter);
+      }
+
+      counter.count++;
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt.getTime() > Date.now() ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+function createMongoRateLimitStore() {
+  const store = {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const active = await RateLimitCounter.findOneAndUpdate(
+        { key, resetAt: { $gt: now } },
+        { $inc: { count: 1 } },
+        { new: true }
+      );
+
+      if (active) {
+        return { count: active.count, resetAt: active.resetAt };
+      }
+
+      try {
+        const fresh = await RateLimitCounter.findOneAndUpdate(
+          { key, resetAt: { $lte: now } },
+          { count: 1, resetAt: new Date(now.getTime() + windowMs) },
+          { new: true, upsert: true }
+        );
+        return { count: fresh.count, resetAt: fresh.resetAt };
+      } catch (error) {
+        // Another server started the window first; count against that one
+        if (error.code === 11000) {
+          return store.increment(key, windowMs);
+        }
+        throw error;
+      }
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } });
+      return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+    },
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+
+  return store;
+}
+
+// Load a custom store configured as a module path (relative to the working
+// directory) whose export is a function returning the store
+function loadPlugin(setting, modulePath) {
+  let factory;
+  try {
+    factory = require(path.resolve(modulePath));
+  } catch (error) {
+    throw new Error(`${setting}: could not load ${modulePath}: ${error.message}`);
+  }
+
+  if (typeof factory !== 'function') {
+    throw new Error(`${setting}: ${modulePath} must export a function that returns the store`);
+  }
+
+  return factory();
+}
+
+function createRateLimitStore(type) {
+  if (!type || type === 'memory') {
+    return createMemoryRateLimitStore();
+  }
+
+  if (type === 'mongo') {
+    return createMongoRateLimitStore();
+  }
+
+  return loadPlugin('RATE_LIMIT_STORE', type);
+}
+
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE);
+
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ message, retryAfter });
+}
+
+// by, when given, returns what else besides the IP identifies the client
+function rateLimit(name, { by } = {}) {
+  return async (req, res, next) => {
+    const limit = RATE_LIMITS[name];
+    if (!limit) {
+      return next();
+    }
+
+    const key = by ? `${name}:${req.ip}:${by(req)}` : `${name}:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await rateLimitStore.increment(key, limit.windowSeconds * 1000);
+    } catch (error) {
+      // Never lock everyone out because the counter store is unavailable
+      console.error('Error checking rate limit:', error);
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', String(limit.max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, limit.max - counter.count)));
+    res.setHeader('RateLimit-Reset', String(Math.max(0, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000))));
+
+    if (counter.count > limit.max) {
+      return sendTooManyRequests(res, counter.resetAt, 'Too many requests. Please try again later.');
+    }
+
+    next();
+  };
+}
+
+function getVoterKey(req) {
+  const body = req.body || {};
+  const code = normalizeAccessCode(body.accessCode);
+  if (code) {
+    return `code:${code.slice(0, 32)}`;
+  }
+
+  const deviceId = typeof body.deviceId === 'string' ? body.deviceId : req.query.deviceId;
+  return typeof deviceId === 'string' ? `device:${deviceId.slice(0, 100)}` : '';
+}
+
+// A per-voter limit together with its per-IP cap
+function voterRateLimit(name) {
+  return [rateLimit(`${name}Ip`), rateLimit(name, { by: getVoterKey })];
+}
+
+function getLoginBackoffKey(req, email) {
+  return `login-backoff:${req.ip}:${typeof email === 'string' ? email.trim().toLowerCase() : ''}`;
+}
+
+// When the account/IP pair is still waiting out a failed-login backoff
+async function getLoginBlock(req, email) {
+  try {
+    const block = await rateLimitStore.get(`${getLoginBackoffKey(req, email)}:blocked`);
+    return block ? block.resetAt : null;
+  } catch (error) {
+    console.error('Error checking login backoff:', error);
+    return null;
+  }
+}
+
+async function recordLoginFailure(req, email) {
+  const key = getLoginBackoffKey(req, email);
+
+  try {
+    const failures = await rateLimitStore.increment(`${key}:failures`, LOGIN_FAILURE_WINDOW_MS);
+    if (failures.count < LOGIN_BACKOFF_AFTER) {
+      return null;
+    }
+
+    const seconds = Math.min(
+      LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures.count - LOGIN_BACKOFF_AFTER),
+      LOGIN_BACKOFF_MAX_SECONDS
+    );
+
+    await rateLimitStore.reset(`${key}:blocked`);
+    const block = await rateLimitStore.increment(`${key}:blocked`, seconds * 1000);
+    return block.resetAt;
+  } catch (error) {
+    console.error('Error recording login failure:', error);
+    return null;
+  }
+}
+
+async function clearLoginFailures(req, email) {
+  const key = getLoginBackoffKey(req, email);
+
+  try {
+    await rateLimitStore.reset(`${key}:failures`);
+    await rateLimitStore.reset(`${key}:blocked`);
+  } catch (error) {
+    console.error('Error clearing login failures:', error);
+  }
+}
+
+// Admin accounts
+//
+// Passwords are hashed with scrypt. Logging in issues a random token; only its
+// SHA-256 is stored, so a database leak does not expose live sessions.
+
+// Ordered from least to most access
+const ADMIN_ROLES = ['viewer', 'manager', 'owner'];
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS) || 12;
+const ADMIN_INVITE_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored || typeof password !== 'string') {
+    return false;
+  }
+
+  const [salt, hash] = stored.split(':');
+  const candidate = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createAdminSession(adminUser) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_HOURS * 60 * 60 * 1000);
+
+  await AdminSession.create({ tokenHash: hashToken(token), userId: adminUser.id, expiresAt });
+
+  adminUser.lastLoginAt = new Date();
+  await adminUser.save();
+
+  return { token, expiresAt };
+}
+
+// Account fields that are safe to send to the admin panel
+function toAdminProfile(adminUser) {
+  return {
+    id: adminUser.id,
+    email: adminUser.email,
+    name: adminUser.name,
+    role: adminUser.role,
+    status: adminUser.status,
+    inviteExpiresAt: adminUser.status === 'invited' ? adminUser.inviteExpiresAt : undefined,
+    lastLoginAt: adminUser.lastLoginAt,
+    createdAt: adminUser.createdAt
+  };
+}
+
+// Create the first owner from ADMIN_EMAIL and ADMIN_PASSWORD when there are no admins yet
+async function ensureOwnerAccount() {
+  if (await AdminUser.countDocuments() > 0) {
+    return;
+  }
+
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password || password.length < MIN_PASSWORD_LENGTH) {
+    console.warn(`⚠️  No admin accounts yet. Set ADMIN_EMAIL and ADMIN_PASSWORD (at least ${MIN_PASSWORD_LENGTH} characters) to create the first owner.`);
+    return;
+  }
+
+  await AdminUser.create({
+    id: crypto.randomBytes(16).toString('hex'),
+    email,
+    name: process.env.ADMIN_NAME || 'Owner',
+    role: 'owner',
+    status: 'active',
+    passwordHash: await hashPassword(password)
+  });
+
+  console.log(`👤 Created owner account for ${email}`);
+}
+
+// The signed-in admin a token belongs to, or null
+async function findAdminByToken(token) {
+  const adminSession = await AdminSession.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+
+  const adminUser = adminSession && await AdminUser.findOne({ id: adminSession.userId, status: 'active' });
+
+  return adminUser ? { adminUser, adminSession } : null;
+}
+
+async function authenticateAdmin(req, res, next) {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const found = await findAdminByToken(token);
+    if (!found) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    req.admin = found.adminUser;
+    req.adminSession = found.adminSession;
+    next();
+  } catch (error) {
+    console.error('Error authenticating admin:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Use after authenticateAdmin: lets through admins with at least this role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (ADMIN_ROLES.indexOf(req.admin.role) < ADMIN_ROLES.indexOf(role)) {
+      return res.status(403).json({ message: 'Your role does not allow this action' });
+    }
+
+    next();
+  };
+}
+
+// EventSource and download links cannot send headers, so they pass the token as a query param
+function authenticateAdminStream(req, res, next) {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+
+  authenticateAdmin(req, res, next);
+}
+
+// Company organizers authenticate with their link token, sent as a Bearer
+// header or, for streams and downloads, as ?token=
+async function authenticateOrganizer(req, res, next) {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+
+    if (!token) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const link = await OrganizerLink.findOne({ tokenHash: hashToken(token), revokedAt: null });
+    const company = link && (!link.expiresAt || link.expiresAt > new Date())
+      ? await Company.findOne({ id: link.companyId })
+      : null;
+
+    if (!company) {
+      return res.status(401).json({ message: 'This organizer link is invalid or has expired' });
+    }
+
+    await OrganizerLink.updateOne({ _id: link._id }, { lastUsedAt: new Date() });
+
+    req.organizer = { link, company };
+    next();
+  } catch (error) {
+    console.error('Error authenticating organizer:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// The session an organizer asked for, if it is open to their company
+async function findOrganizerSession(req, res) {
+  const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+
+  if (!session || !sessionAppliesToCompany(session, req.organizer.company.id)) {
+    res.status(404).json({ message: 'Voting session not found' });
+    return null;
+  }
+
+  return session;
+}
+
+function toOrganizerLinkSummary(link) {
+  return {
+    id: link.id,
+    companyId: link.companyId,
+    label: link.label,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    lastUsedAt: link.lastUsedAt,
+    createdAt: link.createdAt
+  };
+}
+
+// Suspicious voting
+//
+// The fraud report only flags ballots for review; nothing is excluded from
+// the results until an admin invalidates it.
+
+const FRAUD_THRESHOLDS = {
+  // Ballots from one IP address inside a short window
+  ipBurstVotes: 5,
+  ipBurstSeconds: 60,
+  // Distinct devices voting from one IP address over the whole session
+  devicesPerIp: 5,
+  // Identical ballots for one company in quick succession
+  identicalBallots: 3,
+  identicalSeconds: 30,
+  // A company's votes in one minute compared with its typical minute
+  spikeMinVotes: 10,
+  spikeFactor: 3
+};
+
+const MAX_BALLOT_BATCH = 1000;
+
+// Runs of items (sorted by time) where at least minCount fall inside windowMs.
+// Overlapping windows are merged into one run.
+function findBursts(items, windowMs, minCount) {
+  const runs = [];
+  let start = 0;
+  let current = null;
+
+  items.forEach((item, index) => {
+    while (item.time - items[start].time > windowMs) {
+      start++;
+    }
+
+    if (index - start + 1 < minCount) {
+      return;
+    }
+
+    if (current && start <= current.end) {
+      current.end = index;
+    } else {
+      current = { start, end: index };
+      runs.push(current);
+    }
+  });
+
+  return runs.map(run => items.slice(run.start, run.end + 1));
+}
+
+function groupBy(items, getKey) {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = getKey(item);
+    if (key === undefined || key === null) return;
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+
+  return groups;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Same answers regardless of the order sections were stored in
+function getBallotFingerprint(voteDoc) {
+  const voteData = getVoteData(voteDoc);
+  return JSON.stringify(Object.keys(voteData).sort().map(sectionId => [sectionId, voteData[sectionId]]));
+}
+
+async function buildFraudReport(votingSession) {
+  const votes = await Vote.find(
+    { votingSessionId: votingSession.id },
+    { votes: 1, companyId: 1, timestamp: 1, ipAddress: 1, deviceId: 1, invalidatedAt: 1, invalidationReason: 1 }
+  ).sort({ timestamp: 1 }).lean();
+
+  const companyNames = await getCompanyNames();
+  const ballots = votes.map(voteDoc => ({ voteDoc, id: String(voteDoc._id), time: voteDoc.timestamp.getTime() }));
+  const flags = [];
+
+  const addFlag = (flag, items) => {
+    flags.push({
+      id: `flag-${flags.length + 1}`,
+      ...flag,
+      count: items.length,
+      from: items[0].voteDoc.timestamp,
+      to: items[items.length - 1].voteDoc.timestamp,
+      ballotIds: items.map(item => item.id)
+    });
+  };
+
+  const byIp = groupBy(ballots, item => item.voteDoc.ipAddress);
+
+  byIp.forEach((items, ipAddress) => {
+    findBursts(items, FRAUD_THRESHOLDS.ipBurstSeconds * 1000, FRAUD_THRESHOLDS.ipBurstVotes).forEach(run => {
+      addFlag({
+        type: 'ip-burst',
+        ipAddress,
+        description: `${run.length} ballots from ${ipAddress} within ${FRAUD_THRESHOLDS.ipBurstSeconds} seconds`
+      }, run);
+    });
+
+    const devices = new Set(items.map(item => item.voteDoc.deviceId).filter(Boolean));
+    if (devices.size >= FRAUD_THRESHOLDS.devicesPerIp) {
+      addFlag({
+        type: 'shared-ip',
+        ipAddress,
+        deviceCount: devices.size,
+        description: `${devices.size} devices voted from ${ipAddress}`
+      }, items);
+    }
+  });
+
+  const byBallot = groupBy(ballots, item => `${item.voteDoc.companyId}|${getBallotFingerprint(item.voteDoc)}`);
+
+  byBallot.forEach(items => {
+    findBursts(items, FRAUD_THRESHOLDS.identicalSeconds * 1000, FRAUD_THRESHOLDS.identicalBallots).forEach(run => {
+      const { companyId } = run[0].voteDoc;
+      addFlag({
+        type: 'identical-ballots',
+        companyId,
+        company: companyNames.get(companyId) || companyId,
+        description: `${run.length} identical ballots within ${FRAUD_THRESHOLDS.identicalSeconds} seconds`
+      }, run);
+    });
+  });
+
+  const byCompany = groupBy(ballots, item => item.voteDoc.companyId);
+
+  byCompany.forEach((items, companyId) => {
+    const minutes = groupBy(items, item => Math.floor(item.time / 60000));
+    const baseline = median([...minutes.values()].map(minute => minute.length));
+    const threshold = Math.max(FRAUD_THRESHOLDS.spikeMinVotes, FRAUD_THRESHOLDS.spikeFactor * baseline);
+
+    minutes.forEach(minute => {
+      if (minute.length >= threshold) {
+        addFlag({
+          type: 'velocity-spike',
+          companyId,
+          company: companyNames.get(companyId) || companyId,
+          baseline,
+          description: `${minute.length} votes in one minute (typical minute: ${baseline})`
+        }, minute);
+      }
+    });
+  });
+
+  const flagsByBallot = new Map();
+  flags.forEach(flag => {
+    flag.ballotIds.forEach(ballotId => {
+      if (!flagsByBallot.has(ballotId)) {
+        flagsByBallot.set(ballotId, []);
+      }
+      flagsByBallot.get(ballotId).push(flag.id);
+    });
+  });
+
+  const reviewBallots = ballots
+    .filter(item => flagsByBallot.has(item.id) || item.voteDoc.invalidatedAt)
+    .map(({ id, voteDoc }) => ({
+      id,
+      companyId: voteDoc.companyId,
+      company: companyNames.get(voteDoc.companyId) || voteDoc.companyId,
+      timestamp: voteDoc.timestamp,
+      ipAddress: voteDoc.ipAddress || null,
+      deviceId: voteDoc.deviceId || null,
+      votes: getVoteData(voteDoc),
+      invalidatedAt: voteDoc.invalidatedAt || null,
+      invalidationReason: voteDoc.invalidationReason || null,
+      flags: flagsByBallot.get(id) || []
+    }));
+
+  return {
+    thresholds: FRAUD_THRESHOLDS,
+    totalBallots: ballots.length,
+    flaggedBallots: flagsByBallot.size,
+    invalidatedBallots: ballots.filter(item => item.voteDoc.invalidatedAt).length,
+    flags,
+    ballots: reviewBallots
+  };
+}
+
+// Ballot ids from a request body, or an error message
+function parseBallotIds(ballotIds) {
+  if (!Array.isArray(ballotIds) || ballotIds.length === 0) {
+    return { error: 'ballotIds must be a non-empty array' };
+  }
+
+  if (ballotIds.length > MAX_BALLOT_BATCH) {
+    return { error: `At most ${MAX_BALLOT_BATCH} ballots can be changed at once` };
+  }
+
+  if (!ballotIds.every(ballotId => typeof ballotId === 'string' && mongoose.Types.ObjectId.isValid(ballotId))) {
+    return { error: 'ballotIds contains an invalid ballot id' };
+  }
+
+  return { ids: [...new Set(ballotIds)] };
+}
+
+// Archive
+//
+// Archiving moves ballots into ArchivedVote in batches and clears the affected
+// tallies, so results and stats never see archived data. Restoring moves the
+// ballots back and recounts the affected sessions.
+
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 30;
+const ARCHIVE_BATCH_SIZE = 500;
+const ARCHIVE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function createArchive(req, kind, fields) {
+  return await Archive.create({
+    id: crypto.randomBytes(8).toString('hex'),
+    kind,
+    archivedBy: req.admin ? { id: req.admin.id, email: req.admin.email } : undefined,
+    purgeAfter: new Date(Date.now() + ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    ...fields
+  });
+}
+
+async function archiveVotes(archive, filter) {
+  const cursor = Vote.find(filter).lean().cursor();
+  let batch = [];
+  let archived = 0;
+
+  const flush = async () => {
+    await ArchivedVote.insertMany(batch.map(voteDoc => ({
+      archiveId: archive.id,
+      votingSessionId: voteDoc.votingSessionId,
+      companyId: voteDoc.companyId,
+      vote: voteDoc
+    })));
+    await Vote.deleteMany({ _id: { $in: batch.map(voteDoc => voteDoc._id) } });
+    archived += batch.length;
+    batch = [];
+  };
+
+  for await (const voteDoc of cursor) {
+    batch.push(voteDoc);
+    if (batch.length >= ARCHIVE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  if (batch.length > 0) {
+    await flush();
+  }
+
+  archive.voteCount = archived;
+  await archive.save();
+
+  return archived;
+}
+
+// Move an archive's ballots back into the Vote collection. Returns the ids
+// of the sessions they belong to.
+async function restoreVotes(archive) {
+  const sessionIds = await ArchivedVote.distinct('votingSessionId', { archiveId: archive.id });
+  const cursor = ArchivedVote.find({ archiveId: archive.id }).lean().cursor();
+  let batch = [];
+
+  const flush = async () => {
+    // The sessions are recounted after the restore
+    await Vote.insertMany(batch.map(archived => ({ ...archived.vote, countedIn: [], tallyClaim: undefined })));
+    await ArchivedVote.deleteMany({ _id: { $in: batch.map(archived => archived._id) } });
+    batch = [];
+  };
+
+  for await (const archived of cursor) {
+    batch.push(archived);
+    if (batch.length >= ARCHIVE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  if (batch.length > 0) {
+    await flush();
+  }
+
+  return sessionIds;
+}
+
+async function archiveCompany(req, company) {
+  const sessions = await VotingSession.find({ companyIds: company.id }, { id: 1 });
+  const archive = await createArchive(req, 'company', {
+    label: company.name,
+    companyId: company.id,
+    snapshot: company.toObject(),
+    sessionIds: sessions.map(session => session.id)
+  });
+
+  await archiveVotes(archive, { companyId: company.id });
+  await clearTallies({ companyId: company.id });
+  await VotingSession.updateMany({ companyIds: company.id }, { $pull: { companyIds: company.id } });
+  await Company.deleteOne({ id: company.id });
+
+  return archive;
+}
+
+async function archiveSession(req, session) {
+  const archive = await createArchive(req, 'session', {
+    label: session.title,
+    votingSessionId: session.id,
+    snapshot: session.toObject()
+  });
+
+  await archiveVotes(archive, { votingSessionId: session.id });
+  await clearTallies({ votingSessionId: session.id });
+  await VotingSession.deleteOne({ id: session.id });
+
+  return archive;
+}
+
+// A reset archives the session's ballots and frees the access codes they used
+async function archiveSessionVotes(req, session) {
+  const redeemed = await AccessCode.find({ votingSessionId: session.id, redeemedAt: { $ne: null } }, { code: 1 }).lean();
+  const archive = await createArchive(req, 'reset', {
+    label: session.title,
+    votingSessionId: session.id,
+    accessCodes: redeemed.map(accessCode => accessCode.code)
+  });
+
+  await archiveVotes(archive, { votingSessionId: session.id });
+  await clearTallies({ votingSessionId: session.id });
+  await AccessCode.updateMany({ votingSessionId: session.id, redeemedAt: { $ne: null } }, { redeemedAt: null });
+
+  return archive;
+}
+
+// Undo an archive. Returns { status, error } when it cannot be restored,
+// otherwise { note } describing anything that differs from before (or null).
+async function restoreArchive(archive) {
+  let note = null;
+
+  if (archive.kind === 'company') {
+    if (await Company.exists({ id: archive.companyId })) {
+      return { status: 409, error: 'A company with this ID already exists' };
+    }
+
+    const snapshot = { ...archive.snapshot };
+    const namesake = await Company.findOne({ nameKey: normalizeCompanyName(snapshot.name) }, { name: 1 });
+    if (namesake) {
+      return { status: 409, error: `A company named "${namesake.name}" already exists. Rename it before restoring.` };
+    }
+
+    if (snapshot.slug && await Company.exists({ slug: snapshot.slug })) {
+      note = `The slug "${snapshot.slug}" now belongs to another company and was removed`;
+      delete snapshot.slug;
+    }
+    await Company.create(snapshot);
+    await VotingSession.updateMany(
+      { id: { $in: archive.sessionIds }, allCompanies: false },
+      { $addToSet: { companyIds: archive.companyId } }
+    );
+  }
+
+  if (archive.kind === 'session') {
+    if (await VotingSession.exists({ id: archive.votingSessionId })) {
+      return { status: 409, error: 'A session with this ID already exists' };
+    }
+    await VotingSession.create(archive.snapshot);
+  }
+
+  if (archive.kind === 'reset') {
+    if (!(await VotingSession.exists({ id: archive.votingSessionId }))) {
+      return { status: 409, error: 'Restore the deleted session first' };
+    }
+
+    // Codes handed out again since the reset stay redeemed either way
+    await AccessCode.updateMany(
+      { votingSessionId: archive.votingSessionId, code: { $in: archive.accessCodes }, redeemedAt: null },
+      { redeemedAt: archive.archivedAt }
+    );
+
+    if (await Vote.exists({ votingSessionId: archive.votingSessionId })) {
+      note = 'The session has received new ballots since the reset; both are now counted';
+    }
+  }
+
+  const sessionIds = await restoreVotes(archive);
+  if (archive.votingSessionId && !sessionIds.includes(archive.votingSessionId)) {
+    sessionIds.push(archive.votingSessionId);
+  }
+
+  for (const sessionId of sessionIds) {
+    const session = await VotingSession.findOne({ id: sessionId });
+    if (session) {
+      await rebuildTallies(session, { force: true });
+      publishResultsEvent('resync', { votingSessionId: sessionId });
+    }
+  }
+
+  await Archive.deleteOne({ id: archive.id });
+
+  return { note };
+}
+
+// Remove an archive and everything it holds for good
+async function purgeArchive(archive) {
+  await ArchivedVote.deleteMany({ archiveId: archive.id });
+
+  if (archive.kind === 'company') {
+    await AccessCode.deleteMany({ companyId: archive.companyId });
+    await OrganizerLink.deleteMany({ companyId: archive.companyId });
+  }
+
+  if (archive.kind === 'session') {
+    await AccessCode.deleteMany({ votingSessionId: archive.votingSessionId });
+    // Ballots a company restore brought back after the session was deleted
+    await Vote.deleteMany({ votingSessionId: archive.votingSessionId });
+  }
+
+  await Archive.deleteOne({ id: archive.id });
+}
+
+async function purgeExpiredArchives() {
+  try {
+    const expired = await Archive.find({ purgeAfter: { $lte: new Date() } });
+
+    for (const archive of expired) {
+      await purgeArchive(archive);
+      await recordAudit({}, 'archive.purge', toArchiveTarget(archive), {
+        actor: { type: 'system', name: 'Retention policy' },
+        before: { kind: archive.kind, votes: archive.voteCount }
+      });
+    }
+  } catch (error) {
+    console.error('Error purging expired archives:', error);
+  }
+}
+
+function toArchiveTarget(archive) {
+  return {
+    type: archive.kind === 'company' ? 'company' : 'session',
+    id: archive.companyId || archive.votingSessionId,
+    label: archive.label
+  };
+}
+
+function toArchiveSummary(archive) {
+  return {
+    id: archive.id,
+    kind: archive.kind,
+    label: archive.label,
+    companyId: archive.companyId,
+    votingSessionId: archive.votingSessionId,
+    voteCount: archive.voteCount,
+    archivedBy: archive.archivedBy,
+    archivedAt: archive.archivedAt,
+    purgeAfter: archive.purgeAfter
+  };
+}
+
+// Audit log
+//
+// Routes record what they changed after it succeeds. A failed audit write is
+// logged but never undoes or blocks the action itself.
+
+const AUDIT_LOG_PAGE_SIZE = 100;
+const MAX_AUDIT_LOG_PAGE_SIZE = 500;
+
+function getAuditActor(req) {
+  if (req.admin) {
+    return { type: 'admin', id: req.admin.id, name: req.admin.name, email: req.admin.email, role: req.admin.role };
+  }
+
+  if (req.organizer) {
+    return { type: 'organizer', id: req.organizer.link.id, name: req.organizer.link.label };
+  }
+
+  return { type: 'anonymous' };
+}
+
+async function recordAudit(req, action, target, { before = null, after = null, details = null, actor } = {}) {
+  try {
+    await AuditLog.create({
+      id: crypto.randomBytes(12).toString('hex'),
+      action,
+      actor: actor || getAuditActor(req),
+      target,
+      before,
+      after,
+      details,
+      ipAddress: req.ip || (req.connection && req.connection.remoteAddress)
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+}
+
+function sessionTarget(session) {
+  return { type: 'session', id: session.id, label: session.title };
+}
+
+function companyTarget(company) {
+  return { type: 'company', id: company.id, label: company.name };
+}
+
+// The settings worth comparing before and after a session change
+function summarizeSession(session) {
+  return {
+    title: session.title,
+    version: session.version,
+    isActive: session.isActive,
+    opensAt: session.opensAt || null,
+    closesAt: session.closesAt || null,
+    allCompanies: session.allCompanies !== false,
+    companyIds: [...(session.companyIds || [])],
+    requireAccessCode: Boolean(session.requireAccessCode),
+    votePolicy: getVotePolicy(session),
+    resultsVisibility: session.resultsVisibility || 'public',
+    tieBreak: session.tieBreak || 'admin',
+    runoffOf: session.runoffOf || null,
+    sections: session.sections.map(section => section.label)
+  };
+}
+
+// Live results streaming (Server-Sent Events)
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const resultStreams = new Set();
+
+function openResultsStream(req, res, filter) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const stream = { res, ...filter };
+  resultStreams.add(stream);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    resultStreams.delete(stream);
+  });
+}
+
+// Streams opened with a session or company filter only receive matching events;
+// events without a votingSessionId/companyId apply to every stream. Streams
+// opened with an events list only receive those events.
+function publishResultsEvent(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  for (const stream of resultStreams) {
+    if (stream.events && !stream.events.includes(event)) {
+      continue;
+    }
+
+    if (stream.votingSessionId && data.votingSessionId && stream.votingSessionId !== data.votingSessionId) {
+      continue;
+    }
+
+    if (stream.companyId && data.companyId && stream.companyId !== data.companyId) {
+      continue;
+    }
+
+    stream.res.write(payload);
+  }
+}
+
+// Option images
+//
+// Admins upload option images instead of linking to hosts that may go down or
+// block hotlinking. Each upload is checked (JPEG, PNG, WebP or GIF, at most
+// MAX_IMAGE_BYTES) and resized into the IMAGE_VARIANTS, which are served with
+// long-lived caching since an image never changes once uploaded.
+//
+// Variants live in a storage with three async methods:
+//   put(key, data)
+//   get(key)     -> Buffer, or null when missing
+//   remove(key)
+// Files go under IMAGE_STORAGE_DIR (default ./uploads/images). Any other
+// IMAGE_STORAGE value is the path of a module exporting a function that
+// returns a storage (e.g. S3).
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+const IMAGE_ID_PATTERN = /^[0-9a-f]{32}$/;
+const IMAGE_CACHE_SECONDS = 365 * 24 * 60 * 60;
+
+// Longest side of each served variant, in pixels
+const IMAGE_VARIANTS = {
+  thumb: 200,
+  display: 800
+};
+
+function createDiskImageStorage(root) {
+  const resolveKey = key => path.join(root, ...key.split('/'));
+
+  return {
+    async put(key, data) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+function createImageStorage(type) {
+  if (!type || type === 'disk') {
+    return createDiskImageStorage(path.resolve(process.env.IMAGE_STORAGE_DIR || 'uploads/images'));
+  }
+
+  return loadPlugin('IMAGE_STORAGE', type);
+}
+
+const imageStorage = createImageStorage(process.env.IMAGE_STORAGE);
+
+// sharp is a native module only needed to process uploads, so it is loaded
+// on the first upload and the rest of the server runs without it
+let sharpModule = null;
+
+function loadSharp() {
+  if (!sharpModule) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      console.error('Error loading sharp, image uploads are disabled until it is installed (npm install sharp):', error.message);
+      return null;
+    }
+  }
+
+  return sharpModule;
+}
+
+function getImageKey(imageId, variant) {
+  return `${imageId}/${variant}.webp`;
+}
+
+// The image type from the file's leading bytes, whatever the upload claimed
+function detectImageType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (data.length >= 6 && ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// Parse an upload body of up to MAX_IMAGE_BYTES into req.body as a Buffer
+function receiveImage(req, res, next) {
+  express.raw({ type: () => true, limit: MAX_IMAGE_BYTES })(req, res, error => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ message: `Images can be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB` });
+    }
+    next(error);
+  });
+}
+
+// Validate an uploaded file and store its variants. Returns { asset } or
+// { status, error }.
+async function storeImage(data, { filename, uploadedBy }) {
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    return { status: 400, error: 'The upload is empty' };
+  }
+
+  const contentType = detectImageType(data);
+  if (!contentType) {
+    return { status: 415, error: 'Images must be JPEG, PNG, WebP or GIF files' };
+  }
+
+  const sharp = loadSharp();
+  if (!sharp) {
+    return { status: 503, error: 'Image uploads are not available: the server is missing the sharp package' };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(data, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+  } catch (error) {
+    return { status: 400, error: 'The image could not be read. It may be damaged or too large.' };
+  }
+
+  const id = crypto.randomBytes(16).toString('hex');
+  const variants = [];
+
+  for (const [name, longestSide] of Object.entries(IMAGE_VARIANTS)) {
+    // rotate() applies the EXIF orientation; metadata is not copied over
+    const { data: output, info } = await sharp(data, { limitInputPixels: MAX_IMAGE_PIXELS })
+      .rotate()
+      .resize({ width: longestSide, height: longestSide, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+
+    await imageStorage.put(getImageKey(id, name), output);
+    variants.push({ name, width: info.width, height: info.height, size: info.size });
+  }
+
+  const asset = await ImageAsset.create({
+    id,
+    filename: typeof filename === 'string' ? filename.trim().slice(0, 200) || undefined : undefined,
+    contentType,
+    size: data.length,
+    width: metadata.width,
+    height: metadata.height,
+    variants,
+    uploadedBy
+  });
+
+  return { asset };
+}
+
+function toImageSummary(asset) {
+  return {
+    id: asset.id,
+    filename: asset.filename || null,
+    contentType: asset.contentType,
+    size: asset.size,
+    width: asset.width,
+    height: asset.height,
+    variants: asset.variants.map(variant => ({
+      name: variant.name,
+      width: variant.width,
+      height: variant.height,
+      url: `/api/images/${asset.id}/${variant.name}`
+    })),
+    createdAt: asset.createdAt
+  };
+}
+
+// Returns { message, path } for the first option whose imageId was never
+// uploaded, or null
+async function findMissingImage(sections) {
+  const references = [];
+
+  sections.forEach((section, index) => {
+    (section.options || []).forEach((option, optionIndex) => {
+      if (option.imageId) {
+        references.push({ imageId: option.imageId, path: `sections[${index}].options[${optionIndex}].imageId` });
+      }
+    });
+  });
+
+  if (references.length === 0) {
+    return null;
+  }
+
+  const found = await ImageAsset.find({ id: { $in: references.map(ref => ref.imageId) } }, { id: 1 }).lean();
+  const known = new Set(found.map(asset => asset.id));
+  const missing = references.find(ref => !known.has(ref.imageId));
+
+  return missing ? { message: `Image "${missing.imageId}" does not exist`, path: missing.path } : null;
+}
+
+// Imported definitions may carry image ids from another server; those
+// options fall back to their imageUrl
+async function dropMissingImages(sections) {
+  if (!Array.isArray(sections)) {
+    return sections;
+  }
+
+  const imageIds = sections.flatMap(section => (section && Array.isArray(section.options) ? section.options : []))
+    .map(option => option && option.imageId)
+    .filter(imageId => typeof imageId === 'string' && IMAGE_ID_PATTERN.test(imageId));
+  const found = await ImageAsset.find({ id: { $in: imageIds } }, { id: 1 }).lean();
+  const known = new Set(found.map(asset => asset.id));
+
+  return sections.map(section => {
+    if (!section || !Array.isArray(section.options)) {
+      return section;
+    }
+
+    return {
+      ...section,
+      options: section.options.map(option => {
+        if (!option || !option.imageId || known.has(option.imageId)) {
+          return option;
+        }
+        const { imageId, ...rest } = option;
+        return rest;
+      })
+    };
+  });
+}
+
+// Whether anything still shows the image: a session (including the versions
+// kept in its history), a template, an archive or certified final results,
+// which keep their results as signed JSON text
+async function isImageInUse(imageId) {
+  const quoted = JSON.stringify(imageId).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return Boolean(
+    await VotingSession.exists({
+      $or: [
+        { 'sections.options.imageId': imageId },
+        { 'history.sections.options.imageId': imageId }
+      ]
+    }) ||
+    await SessionTemplate.exists({ 'sections.options.imageId': imageId }) ||
+    await Archive.exists({
+      $or: [
+        { 'snapshot.sections.options.imageId': imageId },
+        { 'snapshot.history.sections.options.imageId': imageId }
+      ]
+    }) ||
+    await FinalResults.exists({ payload: new RegExp(`"imageId":${quoted}`) })
+  );
+}
+
+// Results visibility and reveal
+
+const REVEAL_SECTION_TYPES = ['single-select', 'multi-select', 'ranked-choice', 'rating'];
+const MAX_REVEAL_PLACES = 10;
+
+function isVotingOver(votingSession) {
+  return !votingSession.isActive || getVotingStatus(votingSession) === 'closed';
+}
+
+function areResultsPublic(votingSession) {
+  const visibility = votingSession.resultsVisibility || 'public';
+  return visibility === 'public' || (visibility === 'after-close' && isVotingOver(votingSession));
+}
+
+// Whether a public results request may see this session's results. Hidden
+// results are still shown to signed-in admins (Bearer token, or ?token= for
+// streams). Sends the 403 and returns false otherwise.
+async function checkResultsVisible(req, res, votingSession) {
+  if (areResultsPublic(votingSession)) {
+    return true;
+  }
+
+  const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+  if (token && await findAdminByToken(token)) {
+    return true;
+  }
+
+  res.status(403).json({
+    message: votingSession.resultsVisibility === 'admin'
+      ? 'Results for this session are not public'
+      : 'Results will be published when voting closes',
+    visibility: votingSession.resultsVisibility,
+    closesAt: votingSession.closesAt || null
+  });
+  return false;
+}
+
+// Once results are hidden, public streams of the session are told to reload
+// and closed; reconnecting is refused like any other results request.
+function closePublicStreams(votingSessionId) {
+  for (const stream of resultStreams) {
+    if (stream.public && stream.votingSessionId === votingSessionId) {
+      stream.res.write(`event: resync\ndata: ${JSON.stringify({ votingSessionId })}\n\n`);
+      stream.res.end();
+      resultStreams.delete(stream);
+    }
+  }
+}
+
+// A section's options from first place down. Ranked-choice sections list
+// their runoff winner first.
+function rankForReveal(sectionResults) {
+  const ranked = sectionResults.options.map(option => ({
+    name: option.name,
+    imageUrl: option.imageUrl,
+    imageId: option.imageId,
+    votes: option.votes,
+    mean: option.mean
+  }));
+
+  const winnerIndex = ranked.findIndex(option => option.name === sectionResults.winner);
+  if (winnerIndex > 0) {
+    ranked.unshift(...ranked.splice(winnerIndex, 1));
+  }
+
+  return ranked;
+}
+
+// Every step of a reveal: { section, places, shown } where shown counts how
+// many of the section's top places are uncovered, last place first
+function buildRevealPlan(votingSession, results, places) {
+  const steps = [];
+
+  votingSession.sections
+    .filter(section => REVEAL_SECTION_TYPES.includes(section.type) && results[section.id])
+    .forEach(section => {
+      const count = Math.min(places, section.options.length);
+      for (let shown = 0; shown <= count; shown++) {
+        steps.push({ section, places: count, shown });
+      }
+    });
+
+  return steps;
+}
+
+// What a presentation screen shows for the session's current reveal step
+async function describeReveal(votingSession) {
+  const reveal = votingSession.reveal || {};
+
+  if (!reveal.active) {
+    return { active: false, title: votingSession.title };
+  }
+
+  const { results } = await buildResults(votingSession, null, { textResponses: false });
+  const steps = buildRevealPlan(votingSession, results, reveal.places || 3);
+
+  if (steps.length === 0) {
+    return { active: true, title: votingSession.title, step: 0, totalSteps: 0, finished: true, section: null, revealed: [] };
+  }
+
+  const step = Math.min(reveal.step || 0, steps.length - 1);
+  const { section, places, shown } = steps[step];
+  const sectionIds = [...new Set(steps.map(entry => entry.section.id))];
+  const ranked = rankForReveal(results[section.id]).slice(0, places);
+
+  return {
+    active: true,
+    title: votingSession.title,
+    step,
+    totalSteps: steps.length,
+    finished: step === steps.length - 1,
+    section: {
+      id: section.id,
+      label: section.label,
+      type: section.type,
+      number: sectionIds.indexOf(section.id) + 1,
+      count: sectionIds.length
+    },
+    places,
+    // Uncovered places, first place last
+    revealed: ranked
+      .map((option, index) => ({ place: index + 1, ...option }))
+      .slice(places - shown)
+      .reverse()
+  };
+}
+
+// Winners and certified final results
+//
+// Winners are computed per option section from the live results. A tie for
+// first place is settled with the session's tie-break rule when an admin
+// certifies the results of a closed session. Certifying freezes the results
+// and winners into a FinalResults snapshot, signed with an Ed25519 key, that
+// later resets and edits cannot touch.
+
+const WINNER_SECTION_TYPES = ['single-select', 'multi-select', 'ranked-choice', 'rating'];
+const FINAL_RESULTS_FORMAT = 'artist-voting/final-results';
+
+// First place of each option section, and the options tied for it
+function determineWinners(votingSession, results) {
+  return votingSession.sections
+    .filter(section => WINNER_SECTION_TYPES.includes(section.type) && results[section.id])
+    .map(section => {
+      const sectionResults = results[section.id];
+      const entry = { sectionId: section.id, label: section.label, type: section.type, winner: null, tied: null };
+
+      if (section.type === 'ranked-choice') {
+        entry.winner = sectionResults.winner;
+
+        // The winner is only certain if it never survived an elimination
+        // that was settled by option order alone
+        const tiedRound = sectionResults.rounds.find(round =>
+          round.tieBreak === 'option-order' && round.tiedOptions.includes(entry.winner)
+        );
+
+        if (tiedRound) {
+          entry.tied = tiedRound.tiedOptions;
+          entry.winner = null;
+        }
+
+        return entry;
+      }
+
+      // Only options that got votes or ratings can win; a mean rating of 0
+      // (or below, on scales that allow it) is still a result
+      const score = option => (section.type === 'rating' ? option.mean : option.votes);
+      const scored = sectionResults.options.filter(option =>
+        (section.type === 'rating' ? option.mean !== null && option.mean !== undefined : option.votes > 0)
+      );
+
+      if (scored.length === 0) {
+        return entry;
+      }
+
+      const top = Math.max(...scored.map(score));
+      const leaders = scored
+        .filter(option => Math.abs(score(option) - top) < 1e-9)
+        .map(option => option.name);
+
+      if (leaders.length === 1) {
+        entry.winner = leaders[0];
+      } else {
+        entry.tied = leaders;
+      }
+
+      return entry;
+    });
+}
+
+// Options a ballot counts towards in a section: the choices of select
+// sections, the first preference of a ranking and every rated option
+function getCountedOptions(section, sectionVote) {
+  const validOptions = section.options.map(option => option.name);
+
+  if (section.type === 'single-select') {
+    return validOptions.includes(sectionVote) ? [sectionVote] : [];
+  }
+
+  if (section.type === 'multi-select' && Array.isArray(sectionVote)) {
+    return sectionVote.filter(option => validOptions.includes(option));
+  }
+
+  if (section.type === 'ranked-choice' && Array.isArray(sectionVote)) {
+    const first = sectionVote.find(option => validOptions.includes(option));
+    return first ? [first] : [];
+  }
+
+  if (section.type === 'rating' && sectionVote && typeof sectionVote === 'object' && !Array.isArray(sectionVote)) {
+    return Object.entries(sectionVote)
+      .filter(([option, score]) => validOptions.includes(option) && matchScaleValue(section, score) !== undefined)
+      .map(([option]) => option);
+  }
+
+  return [];
+}
+
+// "Earliest to reach the count": walks the ballots in order and returns, per
+// tied section, the tied option whose count (votes, first preferences or
+// ratings) reached its final value first. Sections where that is a draw too
+// are left out.
+async function findEarliestToReach(votingSession, ties) {
+  const pending = ties.map(tie => {
+    const section = votingSession.sections.find(s => s.id === tie.sectionId);
+    return { section, tied: tie.tied, targets: new Map(), counts: new Map(), reachedAt: new Map() };
+  });
+
+  const projection = { timestamp: 1 };
+  pending.forEach(({ section }) => {
+    projection[`votes.${section.id}`] = 1;
+  });
+
+  // Two passes over the ballots in order: final counts, then when each was reached
+  const walkBallots = async visit => {
+    const cursor = Vote.find({ votingSessionId: votingSession.id, invalidatedAt: null }, projection)
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor();
+
+    for await (const voteDoc of cursor) {
+      const voteData = getVoteData(voteDoc);
+      pending.forEach(entry => {
+        getCountedOptions(entry.section, voteData[entry.section.id])
+          .filter(option => entry.tied.includes(option))
+          .forEach(option => visit(entry, option, voteDoc));
+      });
+    }
+  };
+
+  await walkBallots(({ targets }, option) => {
+    targets.set(option, (targets.get(option) || 0) + 1);
+  });
+
+  await walkBallots(({ targets, counts, reachedAt }, option, voteDoc) => {
+    counts.set(option, (counts.get(option) || 0) + 1);
+    if (counts.get(option) === targets.get(option)) {
+      reachedAt.set(option, voteDoc.timestamp);
+    }
+  });
+
+  const winners = new Map();
+  pending.forEach(({ section, tied, reachedAt }) => {
+    const times = tied
+      .filter(option => reachedAt.has(option))
+      .map(option => ({ option, at: reachedAt.get(option) }))
+      .sort((a, b) => a.at - b.at);
+
+    if (times.length > 0 && (times.length === 1 || times[0].at < times[1].at)) {
+      winners.set(section.id, times[0]);
+    }
+  });
+
+  return winners;
+}
+
+// Winners with every tie settled as far as the session's rule allows.
+// decisions maps section ids to the option an admin picked. Ties that are
+// still open are listed in unresolved with the reason.
+async function resolveWinners(votingSession, results, decisions = {}) {
+  const rule = votingSession.tieBreak || 'admin';
+  const winners = determineWinners(votingSession, results);
+  const ties = winners.filter(entry => entry.tied);
+  const unresolved = [];
+
+  let earliest = new Map();
+  if (rule === 'earliest' && ties.length > 0) {
+    earliest = await findEarliestToReach(votingSession, ties);
+  }
+
+  let runoff = null;
+  let runoffResults = null;
+  if (rule === 'runoff' && votingSession.runoffSessionId) {
+    runoff = await VotingSession.findOne({ id: votingSession.runoffSessionId });
+    if (runoff && isVotingOver(runoff)) {
+      runoffResults = (await buildResults(runoff, null, { textResponses: false })).results;
+    }
+  }
+
+  for (const entry of ties) {
+    entry.tieBreak = { rule };
+
+    if (rule === 'admin') {
+      const decision = decisions[entry.sectionId];
+      if (entry.tied.includes(decision)) {
+        entry.winner = decision;
+      } else {
+        unresolved.push({ sectionId: entry.sectionId, label: entry.label, tied: entry.tied, reason: 'An admin must choose the winner' });
+      }
+    } else if (rule === 'earliest') {
+      const first = earliest.get(entry.sectionId);
+      if (first) {
+        entry.winner = first.option;
+        entry.tieBreak.reachedAt = first.at;
+      } else {
+        unresolved.push({ sectionId: entry.sectionId, label: entry.label, tied: entry.tied, reason: 'The tied options reached their counts at the same time' });
+      }
+    } else {
+      const runoffEntry = runoffResults && determineWinners(runoff, runoffResults).find(e => e.sectionId === entry.sectionId);
+      if (runoffEntry && runoffEntry.winner) {
+        entry.winner = runoffEntry.winner;
+        entry.tieBreak.runoffSessionId = runoff.id;
+      } else {
+        let reason = 'A runoff must be held';
+        if (runoff && !runoffResults) reason = 'The runoff is still open';
+        else if (runoffEntry) reason = 'The runoff ended in a tie too';
+        unresolved.push({ sectionId: entry.sectionId, label: entry.label, tied: entry.tied, reason });
+      }
+    }
+  }
+
+  return { winners, unresolved };
+}
+
+// Key order doesn't change a canonical JSON string, so signatures can be checked
+// against a re-serialized payload
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+let signingKeyCache = null;
+
+async function getSigningKey() {
+  if (signingKeyCache) {
+    return signingKeyCache;
+  }
+
+  let privateKey;
+  let publicKey;
+
+  if (process.env.RESULTS_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.RESULTS_SIGNING_KEY.replace(/\\n/g, '\n'));
+    publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  } else {
+    let stored = await SigningKey.findOne().sort({ createdAt: 1 });
+
+    if (!stored) {
+      const pair = crypto.generateKeyPairSync('ed25519');
+      const pem = pair.publicKey.export({ type: 'spki', format: 'pem' });
+      stored = await SigningKey.create({
+        keyId: hashToken(pem).slice(0, 16),
+        publicKey: pem,
+        privateKey: pair.privateKey.export({ type: 'pkcs8', format: 'pem' })
+      });
+    }
+
+    privateKey = crypto.createPrivateKey(stored.privateKey);
+    publicKey = stored.publicKey;
+  }
+
+  signingKeyCache = { keyId: hashToken(publicKey).slice(0, 16), privateKey, publicKey };
+  return signingKeyCache;
+}
+
+// Freeze a session's results and resolved winners into a signed snapshot
+async function createFinalResults(req, votingSession, winners) {
+  const { results, totalVotes, versions } = await buildResults(votingSession);
+
+  // Aggregated text answers are kept; the full response lists are not
+  Object.values(results).forEach(sectionResults => {
+    if (sectionResults.type === 'text-input') {
+      delete sectionResults.responses;
+      delete sectionResults.nextCursor;
+    }
+  });
+
+  const payload = canonicalJson(JSON.parse(JSON.stringify({
+    format: FINAL_RESULTS_FORMAT,
+    votingSessionId: votingSession.id,
+    sessionVersion: votingSession.version || 1,
+    title: votingSession.title,
+    closesAt: votingSession.closesAt || null,
+    certifiedAt: new Date(),
+    certifiedBy: { id: req.admin.id, name: req.admin.name, email: req.admin.email },
+    tieBreak: votingSession.tieBreak || 'admin',
+    totalVotes,
+    versions,
+    winners,
+    results
+  })));
+
+  const key = await getSigningKey();
+
+  return FinalResults.create({
+    id: crypto.randomBytes(16).toString('hex'),
+    votingSessionId: votingSession.id,
+    payload,
+    payloadHash: crypto.createHash('sha256').update(payload).digest('hex'),
+    signature: crypto.sign(null, Buffer.from(payload), key.privateKey).toString('base64'),
+    keyId: key.keyId
+  });
+}
+
+function toFinalResultsResponse(snapshot, votingSession) {
+  return {
+    id: snapshot.id,
+    ...JSON.parse(snapshot.payload),
+    publishedAt: votingSession ? votingSession.finalResultsPublishedAt || null : null,
+    signature: {
+      algorithm: 'Ed25519',
+      keyId: snapshot.keyId,
+      payloadHash: snapshot.payloadHash,
+      value: snapshot.signature,
+      payload: snapshot.payload
+    }
+  };
+}
+
+// Public API endpoints
+
+app.get('/api/company/:companyId', async (req, res) => {
+  try {
+    const company = await findCompany(req.params.companyId);
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json({
+      id: company.id,
+      name: company.name,
+      slug: company.slug || null
+    });
+  } catch (error) {
+    console.error('Error getting company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/voting/:companyId', voterRateLimit('voting'), async (req, res) => {
+  try {
+    const company = await findCompany(req.params.companyId);
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const companyId = company.id;
+
+    const currentVotings = await getCurrentVotings(companyId);
+
+    if (currentVotings.length === 0) {
+      return res.json({ active: false });
+    }
+
+    const { deviceId } = req.query;
+    const sessions = [];
+
+    for (const currentVoting of currentVotings) {
+      const votePolicy = getVotePolicy(currentVoting);
+
+      // Pages pass their deviceId so they can show where this device stands
+      let voterStatus = null;
+      if (deviceId && !currentVoting.requireAccessCode) {
+        const lastVote = await Vote.findOne({ deviceId, votingSessionId: currentVoting.id })
+          .sort({ timestamp: -1 })
+          .select('timestamp');
+        voterStatus = getVoterStatus(votePolicy, lastVote);
+      }
+
+      sessions.push({
+        id: currentVoting.id,
+        title: currentVoting.title,
+        version: currentVoting.version,
+        sections: currentVoting.sections.map(toPublicSection),
+        requireAccessCode: currentVoting.requireAccessCode,
+        votePolicy,
+        voterStatus,
+        schedule: getVotingSchedule(currentVoting),
+        totalVotes: await getVoteCount(currentVoting.id),
+        companyVotes: await getVoteCountByCompany(currentVoting.id, companyId)
+      });
+    }
+
+    res.json({
+      active: true,
+      companyName: company.name,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error getting voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/vote', voterRateLimit('vote'), async (req, res) => {
+  try {
+    const { votingSessionId, votes, deviceId, sessionVersion, accessCode } = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({ message: 'Device ID is required' });
+    }
+
+    // Voting links may carry the company's slug instead of its id
+    const company = await findCompany(req.body.companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const companyId = company.id;
+
+    const votingSession = await VotingSession.findOne({
+      id: votingSessionId,
+      isActive: true
+    });
+
+    if (!votingSession) {
+      return res.status(400).json({ message: 'Invalid or expired voting session' });
+    }
+
+    if (!sessionAppliesToCompany(votingSession, companyId)) {
+      return res.status(403).json({ message: 'This voting session is not open to your company' });
+    }
+
+    const schedule = getVotingSchedule(votingSession);
+
+    if (schedule.status === 'upcoming') {
+      return res.status(403).json({
+        message: `Voting has not opened yet. It opens in ${formatTimeLeft(schedule.opensIn)}`,
+        schedule
+      });
+    }
+
+    if (schedule.status === 'closed') {
+      return res.status(403).json({
+        message: 'Voting for this session has closed',
+        schedule
+      });
+    }
+
+    const code = normalizeAccessCode(accessCode);
+
+    if (votingSession.requireAccessCode && !code) {
+      return res.status(403).json({
+        message: 'An access code is required to vote in this session',
+        accessCodeRequired: true
+      });
+    }
+
+    // Apply the session's vote policy to this device. Sessions with access
+    // codes rely on the codes instead, so shared devices can be used.
+    const votePolicy = getVotePolicy(votingSession);
+    let previousVote = null;
+
+    if (!votingSession.requireAccessCode) {
+      const lastVote = await Vote.findOne({ deviceId, votingSessionId }).sort({ timestamp: -1 });
+      const voterStatus = getVoterStatus(votePolicy, lastVote);
+
+      if (votePolicy.mode === 'once' && lastVote) {
+        return res.status(403).json({
+          message: 'You have already voted in this session',
+          votePolicy,
+          voterStatus
+        });
+      }
+
+      if (!voterStatus.canVote) {
+        const timeLeft = Math.ceil((voterStatus.canVoteAgainAt.getTime() - Date.now()) / 1000 / 60);
+        return res.status(429).json({
+          message: `You can vote again in ${timeLeft} minutes`,
+          timeLeft,
+          votePolicy,
+          voterStatus
+        });
+      }
+
+      if (votePolicy.mode === 'update') {
+        previousVote = lastVote;
+      }
+    }
+
+    if (!votes || typeof votes !== 'object') {
+      return res.status(400).json({ message: 'Invalid votes data' });
+    }
+
+    // The ballot was filled in against an older definition of the session
+    if (sessionVersion && sessionVersion !== votingSession.version) {
+      return res.status(409).json({
+        message: 'This vote was updated while you were filling it in. Please review it and submit again.',
+        version: votingSession.version
+      });
+    }
+
+    // Validate votes against sections
+    for (const section of votingSession.sections) {
+      const voteValue = votes[section.id];
+
+      // Check required sections
+      if (section.required) {
+        if (section.type === 'text-input') {
+          if (!voteValue || (typeof voteValue === 'string' && voteValue.trim() === '')) {
+            return res.status(400).json({
+              message: `Please provide a value for ${section.label}`
+            });
+          }
+        } else if (section.type === 'ranked-choice') {
+          if (!Array.isArray(voteValue) || voteValue.length === 0) {
+            return res.status(400).json({
+              message: `Please rank at least one option for ${section.label}`
+            });
+          }
+        } else if (section.type === 'rating') {
+          const rated = voteValue && typeof voteValue === 'object' ? voteValue : {};
+          if (section.options.some(opt => rated[opt.name] === undefined || rated[opt.name] === null)) {
+            return res.status(400).json({
+              message: `Please rate every option for ${section.label}`
+            });
+          }
+        } else if (section.type === 'scale') {
+          if (voteValue === undefined || voteValue === null || voteValue === '') {
+            return res.status(400).json({
+              message: `Please provide a value for ${section.label}`
+            });
+          }
+        } else {
+          if (!voteValue || (Array.isArray(voteValue) && voteValue.length === 0)) {
+            return res.status(400).json({
+              message: `Please select at least one option for ${section.label}`
+            });
+          }
+        }
+      }
+
+      // Validate based on section type
+      if (section.type === 'single-select') {
+        if (voteValue) {
+          const validOptions = section.options.map(opt => opt.name);
+          if (!validOptions.includes(voteValue)) {
+            return res.status(400).json({
+              message: `Invalid option selected for ${section.label}`
+            });
+          }
+        }
+      } else if (section.type === 'multi-select') {
+        if (voteValue) {
+          if (!Array.isArray(voteValue)) {
+            return res.status(400).json({
+              message: `${section.label} must be an array`
+            });
+          }
+
+          if (voteValue.length < section.minSelections) {
+            return res.status(400).json({
+              message: `Please select at least ${section.minSelections} option(s) for ${section.label}`
+            });
+          }
+
+          if (voteValue.length > section.maxSelections) {
+            return res.status(400).json({
+              message: `Please select at most ${section.maxSelections} option(s) for ${section.label}`
+            });
+          }
+
+          const validOptions = section.options.map(opt => opt.name);
+          for (const option of voteValue) {
+            if (!validOptions.includes(option)) {
+              return res.status(400).json({
+                message: `Invalid option selected for ${section.label}`
+              });
+            }
+          }
+        }
+      } else if (section.type === 'ranked-choice') {
+        if (voteValue) {
+          if (!Array.isArray(voteValue)) {
+            return res.status(400).json({
+              message: `${section.label} must be an ordered array of options`
+            });
+          }
+
+          const validOptions = section.options.map(opt => opt.name);
+          for (const option of voteValue) {
+            if (!validOptions.includes(option)) {
+              return res.status(400).json({
+                message: `Invalid option ranked for ${section.label}`
+              });
+            }
+          }
+
+          if (new Set(voteValue).size !== voteValue.length) {
+            return res.status(400).json({
+              message: `Each option can only be ranked once for ${section.label}`
+            });
+          }
+
+          if (section.requireFullRanking && voteValue.length > 0 && voteValue.length !== validOptions.length) {
+            return res.status(400).json({
+              message: `Please rank all ${validOptions.length} options for ${section.label}`
+            });
+          }
+        }
+      } else if (section.type === 'rating') {
+        if (voteValue !== undefined && voteValue !== null) {
+          if (typeof voteValue !== 'object' || Array.isArray(voteValue)) {
+            return res.status(400).json({
+              message: `${section.label} must map each option to a score`
+            });
+          }
+
+          const validOptions = section.options.map(opt => opt.name);
+          for (const [option, score] of Object.entries(voteValue)) {
+            if (!validOptions.includes(option)) {
+              return res.status(400).json({
+                message: `Invalid option rated for ${section.label}`
+              });
+            }
+
+            if (score !== null && matchScaleValue(section, score) === undefined) {
+              return res.status(400).json({
+                message: `Scores for ${section.label} must be between ${section.scaleMin} and ${section.scaleMax} in steps of ${section.scaleStep}`
+              });
+            }
+          }
+        }
+      } else if (section.type === 'scale') {
+        if (voteValue !== undefined && voteValue !== null && voteValue !== '' &&
+            matchScaleValue(section, voteValue) === undefined) {
+          return res.status(400).json({
+            message: `${section.label} must be a number between ${section.scaleMin} and ${section.scaleMax} in steps of ${section.scaleStep}`
+          });
+        }
+      }
+
+      if (section.type === 'text-input' && voteValue !== undefined && voteValue !== null) {
+        if (typeof voteValue !== 'string') {
+          return res.status(400).json({ message: `${section.label} must be text` });
+        }
+
+        const maxLength = section.maxLength || DEFAULT_TEXT_MAX_LENGTH;
+        if (voteValue.trim().length > maxLength) {
+          return res.status(400).json({
+            message: `${section.label} can be at most ${maxLength} characters`
+          });
+        }
+      }
+    }
+
+    const moderation = moderateBallot(votingSession, votes);
+    const publicVotes = getPublicVotes(votingSession, votes, moderation);
+    const heldForReview = Object.values(moderation).some(entry => entry.status === 'pending');
+
+    // Consume the code in the same operation that checks it, so two
+    // submissions with one code can't both get through
+    let redeemedCode = null;
+
+    if (votingSession.requireAccessCode) {
+      redeemedCode = await AccessCode.findOneAndUpdate(
+        { code, votingSessionId, companyId, redeemedAt: null },
+        { redeemedAt: new Date() },
+        { new: true }
+      );
+
+      if (!redeemedCode) {
+        const existing = await AccessCode.findOne({ code, votingSessionId, companyId });
+        return res.status(403).json({
+          message: existing ? 'This access code has already been used' : 'This access code is not valid for this vote',
+          accessCodeRequired: true
+        });
+      }
+    }
+
+    // "update" policy: the resubmission replaces the device's earlier ballot
+    const replaceBallot = async existing => {
+      // The ballot moves with the voter if they now vote through another
+      // company's link, so its counters, event and record agree
+      const replaced = await updateCountedVote(votingSession, { _id: existing._id }, {
+        $set: {
+          companyId,
+          votes,
+          moderation,
+          sessionVersion: votingSession.version,
+          updatedAt: new Date(),
+          ipAddress: req.ip || req.connection.remoteAddress
+        }
+      });
+
+      if (!replaced) {
+        return false;
+      }
+
+      // An invalidated ballot stays out of the results until an admin reinstates it
+      if (!replaced.current.invalidatedAt) {
+        await countVote(votingSession, replaced.current);
+      }
+
+      publishResultsEvent('vote-updated', {
+        votingSessionId,
+        companyId,
+        votes: publicVotes,
+        timestamp: replaced.current.updatedAt
+      });
+
+      res.json({
+        success: true,
+        message: 'Your vote has been updated',
+        updated: true,
+        heldForReview,
+        votePolicy,
+        voterStatus: getVoterStatus(votePolicy, replaced.current)
+      });
+      return true;
+    };
+
+    if (previousVote && await replaceBallot(previousVote)) {
+      return;
+    }
+
+    const newVote = new Vote({
+      votingSessionId,
+      companyId: companyId,
+      votes: votes,
+      moderation,
+      sessionVersion: votingSession.version,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      deviceId,
+      onePerDevice: !votingSession.requireAccessCode && ['once', 'update'].includes(votePolicy.mode) ? true : undefined
+    });
+
+    try {
+      await newVote.save();
+    } catch (error) {
+      // Give the code back if the ballot could not be stored
+      if (redeemedCode) {
+        await AccessCode.updateOne({ _id: redeemedCode._id }, { redeemedAt: null });
+      }
+
+      // Another submission from this device stored its ballot first
+      if (error.code === 11000 && newVote.onePerDevice) {
+        const existing = await Vote.findOne({ votingSessionId, deviceId, onePerDevice: true });
+
+        if (votePolicy.mode === 'update' && existing && await replaceBallot(existing)) {
+          return;
+        }
+
+        return res.status(403).json({
+          message: 'You have already voted in this session',
+          votePolicy,
+          voterStatus: getVoterStatus(votePolicy, existing)
+        });
+      }
+
+      throw error;
+    }
+    await countVote(votingSession, newVote);
+
+    publishResultsEvent('vote', {
+      votingSessionId,
+      companyId,
+      votes: publicVotes,
+      timestamp: newVote.timestamp
+    });
+
+    const voterStatus = votingSession.requireAccessCode ? null : getVoterStatus(votePolicy, newVote);
+
+    res.json({
+      success: true,
+      message: 'Vote submitted successfully',
+      updated: false,
+      heldForReview,
+      votePolicy,
+      voterStatus,
+      canVoteAgainAt: voterStatus ? voterStatus.canVoteAgainAt : null
+    });
+  } catch (error) {
+    console.error('Error submitting vote:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/results/:votingSessionId', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    const { results, totalVotes, versions } = await buildResults(votingSession);
+
+    res.json({
+      active: votingSession.isActive && getVotingStatus(votingSession) !== 'closed',
+      title: votingSession.title,
+      results,
+      totalVotes,
+      versions
+    });
+  } catch (error) {
+    console.error('Error getting results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get results by company
+app.get('/api/results/:votingSessionId/company/:companyId', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const company = await findCompany(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    const { results, totalVotes, versions } = await buildResults(votingSession, company.id);
+
+    res.json({
+      active: votingSession.isActive && getVotingStatus(votingSession) !== 'closed',
+      title: votingSession.title,
+      company: company.name,
+      results,
+      totalVotes,
+      versions
+    });
+  } catch (error) {
+    console.error('Error getting company results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Votes over time for a session: ?bucket=<seconds>
+app.get('/api/results/:votingSessionId/timeline', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { bucketSeconds, error } = parseTimelineBucket(req.query.bucket);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const votingSession = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    res.json(await buildTimeline(votingSession, { bucketSeconds }));
+  } catch (error) {
+    console.error('Error getting vote timeline:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/results/:votingSessionId/company/:companyId/timeline', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const { bucketSeconds, error } = parseTimelineBucket(req.query.bucket);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const company = await findCompany(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    res.json(await buildTimeline(votingSession, { companyId: company.id, bucketSeconds }));
+  } catch (error) {
+    console.error('Error getting company vote timeline:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pages of a text section's responses: ?cursor=<nextCursor of the previous page>
+async function sendTextResponses(req, res, votingSession, companyId) {
+  const section = votingSession.sections.find(s => s.id === req.params.sectionId && s.type === 'text-input');
+  if (!section) {
+    return res.status(404).json({ message: 'Text section not found' });
+  }
+
+  const page = await listTextResponses(votingSession, section.id, { companyId, cursor: req.query.cursor });
+  if (page.error) {
+    return res.status(400).json({ message: page.error });
+  }
+
+  res.json(page);
+}
+
+app.get('/api/results/:votingSessionId/responses/:sectionId', voterRateLimit('results'), async (req, res) => {
+  try {
+    const votingSession = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    await sendTextResponses(req, res, votingSession);
+  } catch (error) {
+    console.error('Error getting text responses:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/results/:votingSessionId/company/:companyId/responses/:sectionId', voterRateLimit('results'), async (req, res) => {
+  try {
+    const votingSession = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const company = await findCompany(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    await sendTextResponses(req, res, votingSession, company.id);
+  } catch (error) {
+    console.error('Error getting company text responses:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream live tally updates for a session
+app.get('/api/results/:votingSessionId/stream', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    openResultsStream(req, res, { votingSessionId, public: true });
+  } catch (error) {
+    console.error('Error opening results stream:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream live tally updates for a single company
+app.get('/api/results/:votingSessionId/company/:companyId/stream', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const company = await findCompany(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!await checkResultsVisible(req, res, votingSession)) return;
+
+    openResultsStream(req, res, { votingSessionId, companyId: company.id, public: true });
+  } catch (error) {
+    console.error('Error opening company results stream:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The current step of a results reveal. Presentation screens follow it even
+// when the session's results are otherwise hidden.
+app.get('/api/results/:votingSessionId/reveal', voterRateLimit('results'), async (req, res) => {
+  try {
+    const votingSession = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    res.json(await describeReveal(votingSession));
+  } catch (error) {
+    console.error('Error getting results reveal:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reveal progress only; no vote events
+app.get('/api/results/:votingSessionId/reveal/stream', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    openResultsStream(req, res, { votingSessionId, events: ['reveal'] });
+  } catch (error) {
+    console.error('Error opening reveal stream:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Certified final results, once an admin has published them
+app.get('/api/results/:votingSessionId/final', voterRateLimit('results'), async (req, res) => {
+  try {
+    const votingSession = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!votingSession || !votingSession.finalResultsPublishedAt) {
+      return res.status(404).json({ message: 'Final results have not been published' });
+    }
+
+    const snapshot = await FinalResults.findOne({ votingSessionId: votingSession.id });
+    if (!snapshot) {
+      return res.status(404).json({ message: 'Final results have not been published' });
+    }
+
+    res.json(toFinalResultsResponse(snapshot, votingSession));
+  } catch (error) {
+    console.error('Error getting final results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public key that verifies final results signatures
+app.get('/api/final-results/signing-key', voterRateLimit('results'), async (req, res) => {
+  try {
+    const { keyId, publicKey } = await getSigningKey();
+    res.json({ algorithm: 'Ed25519', keyId, publicKey });
+  } catch (error) {
+    console.error('Error getting signing key:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Uploaded option images. Variants never change, so browsers and proxies may
+// cache them for good.
+app.get('/api/images/:imageId/:variant', async (req, res) => {
+  try {
+    const { imageId, variant } = req.params;
+
+    if (!IMAGE_ID_PATTERN.test(imageId) || !Object.prototype.hasOwnProperty.call(IMAGE_VARIANTS, variant)) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const etag = `"${imageId}-${variant}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const asset = await ImageAsset.findOne({ id: imageId });
+    const data = asset && await imageStorage.get(getImageKey(imageId, variant));
+    if (!data) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    res.setHeader('Cache-Control', `public, max-age=${IMAGE_CACHE_SECONDS}, immutable`);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', asset.createdAt.toUTCString());
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type('image/webp').send(data);
+  } catch (error) {
+    console.error('Error serving image:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin API endpoints
+
+app.post('/api/admin/login', rateLimit('login'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const blockedUntil = await getLoginBlock(req, email);
+    if (blockedUntil) {
+      return sendTooManyRequests(res, blockedUntil, 'Too many failed login attempts. Please wait before trying again.');
+    }
+
+    const adminUser = typeof email === 'string'
+      ? await AdminUser.findOne({ email: email.trim().toLowerCase(), status: 'active' })
+      : null;
+
+    if (!adminUser || !(await verifyPassword(password, adminUser.passwordHash))) {
+      await recordAudit(req, 'admin.login-failed', {
+        type: 'admin',
+        id: adminUser ? adminUser.id : null,
+        label: typeof email === 'string' ? email.trim().toLowerCase() : null
+      });
+
+      const backoffUntil = await recordLoginFailure(req, email);
+      if (backoffUntil) {
+        return sendTooManyRequests(res, backoffUntil, 'Too many failed login attempts. Please wait before trying again.');
+      }
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    await clearLoginFailures(req, email);
+
+    const { token, expiresAt } = await createAdminSession(adminUser);
+
+    req.admin = adminUser;
+    await recordAudit(req, 'admin.login', { type: 'admin', id: adminUser.id, label: adminUser.email });
+
+    res.json({ token, expiresAt, user: toAdminProfile(adminUser) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/admin/logout', authenticateAdmin, async (req, res) => {
+  try {
+    await AdminSession.deleteOne({ _id: req.adminSession._id });
+    await recordAudit(req, 'admin.logout', { type: 'admin', id: req.admin.id, label: req.admin.email });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/verify', authenticateAdmin, (req, res) => {
+  res.json({
+    valid: true,
+    user: toAdminProfile(req.admin),
+    expiresAt: req.adminSession.expiresAt
+  });
+});
+
+// Set a password for an invited admin and log them in
+app.post('/api/admin/accept-invite', rateLimit('login'), async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Invite token is required' });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const adminUser = await AdminUser.findOne({
+      inviteTokenHash: hashToken(token),
+      status: 'invited',
+      inviteExpiresAt: { $gt: new Date() }
+    });
+
+    if (!adminUser) {
+      return res.status(400).json({ message: 'This invite is invalid or has expired' });
+    }
+
+    adminUser.passwordHash = await hashPassword(password);
+    adminUser.status = 'active';
+    adminUser.inviteTokenHash = undefined;
+    adminUser.inviteExpiresAt = undefined;
+    if (name && name.trim()) {
+      adminUser.name = name.trim();
+    }
+
+    const { token: sessionToken, expiresAt } = await createAdminSession(adminUser);
+
+    req.admin = adminUser;
+    await recordAudit(req, 'admin.accept-invite', { type: 'admin', id: adminUser.id, label: adminUser.email }, {
+      before: { status: 'invited' },
+      after: { status: 'active', name: adminUser.name }
+    });
+
+    res.json({ token: sessionToken, expiresAt, user: toAdminProfile(adminUser) });
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/users', authenticateAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const adminUsers = await AdminUser.find().sort({ createdAt: 1 });
+    res.json(adminUsers.map(toAdminProfile));
+  } catch (error) {
+    console.error('Error getting admin users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite an admin. The invite token is only returned here, once.
+app.post('/api/admin/users', authenticateAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+      return res.status(400).json({ message: 'A valid email is required' });
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    const existing = await AdminUser.findOne({ email: email.trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ message: 'An admin with this email already exists' });
+    }
+
+    const inviteToken = crypto.randomBytes(24).toString('hex');
+    const adminUser = await AdminUser.create({
+      id: crypto.randomBytes(16).toString('hex'),
+      email,
+      name: (name && name.trim()) || email.trim(),
+      role,
+      status: 'invited',
+      inviteTokenHash: hashToken(inviteToken),
+      inviteExpiresAt: new Date(Date.now() + ADMIN_INVITE_DAYS * 24 * 60 * 60 * 1000),
+      invitedBy: req.admin.id
+    });
+
+    await recordAudit(req, 'admin.invite', { type: 'admin', id: adminUser.id, label: adminUser.email }, {
+      after: { email: adminUser.email, name: adminUser.name, role: adminUser.role, status: adminUser.status }
+    });
+
+    res.json({
+      success: true,
+      message: `Invite created for ${adminUser.email}`,
+      user: toAdminProfile(adminUser),
+      inviteToken
+    });
+  } catch (error) {
+    console.error('Error inviting admin:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove an admin and end their sessions
+app.delete('/api/admin/users/:userId', authenticateAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.admin.id) {
+      return res.status(400).json({ message: 'You cannot remove your own account' });
+    }
+
+    const adminUser = await AdminUser.findOneAndDelete({ id: userId });
+    if (!adminUser) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    await AdminSession.deleteMany({ userId });
+    await recordAudit(req, 'admin.remove', { type: 'admin', id: adminUser.id, label: adminUser.email }, {
+      before: { email: adminUser.email, name: adminUser.name, role: adminUser.role, status: adminUser.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing admin:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream vote, reset and toggle events across all sessions and companies
+app.get('/api/admin/stream', authenticateAdminStream, (req, res) => {
+  openResultsStream(req, res, {});
+});
+
+app.post('/api/admin/create-company', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { name, headcount } = req.body;
+    const slug = typeof req.body.slug === 'string' ? req.body.slug.trim().toLowerCase() : req.body.slug;
+
+    const nameError = await validateCompanyName(name);
+    if (nameError) {
+      return res.status(typeof name === 'string' && name.trim() ? 409 : 400).json({ message: nameError });
+    }
+
+    const headcountError = validateHeadcount(headcount);
+    if (headcountError) {
+      return res.status(400).json({ message: headcountError });
+    }
+
+    if (slug) {
+      const slugError = await validateSlug(slug);
+      if (slugError) {
+        return res.status(400).json({ message: slugError });
+      }
+    }
+
+    const newCompany = new Company({
+      id: crypto.randomBytes(16).toString('hex'),
+      name: name.trim(),
+      slug: slug || undefined,
+      headcount: headcount || undefined
+    });
+
+    await newCompany.save();
+    await recordAudit(req, 'company.create', companyTarget(newCompany), {
+      after: { name: newCompany.name, slug: newCompany.slug || null, headcount: newCompany.headcount || null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Company created successfully',
+      company: newCompany
+    });
+  } catch (error) {
+    const conflict = getCompanyConflict(error);
+    if (conflict) {
+      return res.status(409).json({ message: conflict });
+    }
+    console.error('Error creating company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/companies', authenticateAdmin, async (req, res) => {
+  try {
+    const companies = await Company.find().sort({ createdAt: -1 });
+    res.json(companies);
+  } catch (error) {
+    console.error('Error getting companies:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a company or change its slug or headcount. slug and headcount are
+// cleared with null.
+app.patch('/api/admin/companies/:companyId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const company = await Company.findOne({ id: req.params.companyId });
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { name, headcount } = req.body;
+    const slug = typeof req.body.slug === 'string' ? req.body.slug.trim().toLowerCase() : req.body.slug;
+    const before = toCompanySummary(company);
+
+    if (name !== undefined) {
+      const nameError = await validateCompanyName(name, company.id);
+      if (nameError) {
+        return res.status(typeof name === 'string' && name.trim() ? 409 : 400).json({ message: nameError });
+      }
+      company.name = name.trim();
+    }
+
+    if (slug !== undefined) {
+      if (slug === null || slug === '') {
+        company.slug = undefined;
+      } else {
+        const slugError = await validateSlug(slug, company.id);
+        if (slugError) {
+          return res.status(getSlugFormatError(slug) ? 400 : 409).json({ message: slugError });
+        }
+        company.slug = slug;
+      }
+    }
+
+    if (headcount !== undefined) {
+      const headcountError = validateHeadcount(headcount);
+      if (headcountError) {
+        return res.status(400).json({ message: headcountError });
+      }
+      company.headcount = headcount || undefined;
+    }
+
+    await company.save();
+
+    const after = toCompanySummary(company);
+    await recordAudit(req, 'company.update', companyTarget(company), { before, after });
+
+    // Results pages show the company name
+    if (before.name !== after.name) {
+      publishResultsEvent('resync', { companyId: company.id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Company updated',
+      company: after
+    });
+  } catch (error) {
+    const conflict = getCompanyConflict(error);
+    if (conflict) {
+      return res.status(409).json({ message: conflict });
+    }
+    console.error('Error updating company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create companies from a CSV with a "name" column and optional "slug" and
+// "headcount" columns. Duplicates of existing companies or of earlier rows
+// are skipped. { dryRun: true } only reports what would happen.
+app.post('/api/admin/companies/import', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { csv, dryRun } = req.body;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ message: 'csv must be the contents of a CSV file' });
+    }
+
+    const { companies, skipped, error } = await planCompanyImport(csv);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (dryRun) {
+      return res.json({ dryRun: true, companies, skipped });
+    }
+
+    const created = await Company.insertMany(companies.map(company => ({
+      id: crypto.randomBytes(16).toString('hex'),
+      name: company.name,
+      slug: company.slug || undefined,
+      headcount: company.headcount || undefined
+    })));
+
+    await recordAudit(req, 'company.import', { type: 'company', id: null, label: `${created.length} companies` }, {
+      after: { companies: created.map(company => ({ id: company.id, name: company.name })) },
+      details: { skipped: skipped.length }
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${created.length} compan${created.length === 1 ? 'y' : 'ies'}${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`,
+      companies: created.map(toCompanySummary),
+      skipped
+    });
+  } catch (error) {
+    // Rows before the clash were created; a dry run shows what is left
+    if (getCompanyConflict(error)) {
+      return res.status(409).json({ message: 'Some companies were added by someone else during the import. Check the list and run the import again.' });
+    }
+    console.error('Error importing companies:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Voting and results links for a company: ?sessionId= picks the results session
+app.get('/api/admin/companies/:companyId/links', authenticateAdmin, async (req, res) => {
+  try {
+    const company = await Company.findOne({ id: req.params.companyId });
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(await getCompanyLinks(req, company, req.query.sessionId));
+  } catch (error) {
+    console.error('Error getting company links:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// QR code for a company link: ?link=voting|results, ?format=png|svg,
+// ?size=<pixels> (PNG only), ?sessionId= and ?download=1 for an attachment
+app.get('/api/admin/companies/:companyId/qr', authenticateAdminStream, async (req, res) => {
+  try {
+    const link = req.query.link || 'voting';
+    const format = req.query.format || 'png';
+    const size = req.query.size === undefined ? DEFAULT_QR_SIZE : Number(req.query.size);
+
+    if (!QR_LINK_KINDS.includes(link)) {
+      return res.status(400).json({ message: `link must be one of: ${QR_LINK_KINDS.join(', ')}` });
+    }
+
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${QR_FORMATS.join(', ')}` });
+    }
+
+    if (!Number.isInteger(size) || size < 64 || size > MAX_QR_SIZE) {
+      return res.status(400).json({ message: `size must be a whole number from 64 to ${MAX_QR_SIZE}` });
+    }
+
+    const QRCode = loadQRCode();
+    if (!QRCode) {
+      return res.status(503).json({ message: 'QR codes are not available: the server is missing the qrcode package' });
+    }
+
+    const company = await Company.findOne({ id: req.params.companyId });
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const links = await getCompanyLinks(req, company, req.query.sessionId);
+    if (!links[link]) {
+      return res.status(404).json({ message: 'No voting session is open to this company, so it has no results link' });
+    }
+
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+    const filename = `${company.slug || company.id}-${link}.${format}`;
+
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(links[link], { ...options, type: 'svg' }));
+    } else {
+      res.type('png').send(await QRCode.toBuffer(links[link], { ...options, type: 'png', width: size }));
+    }
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/companies/:companyId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    const company = await Company.findOne({ id: companyId });
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const archive = await archiveCompany(req, company);
+
+    await recordAudit(req, 'company.delete', companyTarget(company), {
+      before: { name: company.name, votes: archive.voteCount },
+      after: null,
+      details: { archiveId: archive.id, purgeAfter: archive.purgeAfter }
+    });
+
+    publishResultsEvent('resync', { companyId });
+
+    res.json({
+      success: true,
+      message: `Company archived. It can be restored until ${archive.purgeAfter.toISOString().slice(0, 10)}.`,
+      archive: toArchiveSummary(archive)
+    });
+  } catch (error) {
+    console.error('Error deleting company:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create global voting session
+app.post('/api/admin/create-voting', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { voting, error } = await buildVotingSession(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    // Optionally replace whatever is currently running
+    if (req.body.deactivateOthers) {
+      await VotingSession.updateMany({}, { isActive: false });
+    }
+
+    await voting.save();
+    await recordAudit(req, 'session.create', sessionTarget(voting), {
+      after: summarizeSession(voting),
+      details: { deactivateOthers: Boolean(req.body.deactivateOthers) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Voting session created successfully',
+      voting
+    });
+  } catch (error) {
+    console.error('Error creating voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Copy a session's title and sections into a new session without its votes
+app.post('/api/admin/voting/:votingSessionId/clone', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const source = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!source) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const { voting, error } = await buildVotingSession({
+      title: req.body.title || `${source.title} (copy)`,
+      sections: source.sections.map(section => section.toObject()),
+      opensAt: req.body.opensAt,
+      closesAt: req.body.closesAt,
+      allCompanies: req.body.allCompanies !== undefined ? req.body.allCompanies : source.allCompanies,
+      companyIds: req.body.companyIds !== undefined ? req.body.companyIds : source.companyIds,
+      requireAccessCode: source.requireAccessCode,
+      votePolicy: getVotePolicy(source),
+      resultsVisibility: source.resultsVisibility,
+      tieBreak: source.tieBreak
+    });
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    await voting.save();
+    await recordAudit(req, 'session.clone', sessionTarget(voting), {
+      after: summarizeSession(voting),
+      details: { sourceSessionId: source.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Voting session cloned successfully',
+      voting
+    });
+  } catch (error) {
+    console.error('Error cloning voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a session definition (title and sections) as a JSON file
+app.get('/api/admin/voting/:votingSessionId/export', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const filename = session.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'voting-session';
+
+    await recordAudit(req, 'export.definition', sessionTarget(session));
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json({
+      format: DEFINITION_FORMAT,
+      formatVersion: DEFINITION_FORMAT_VERSION,
+      exportedAt: new Date(),
+      title: session.title,
+      sections: session.sections.map(section => section.toObject())
+    });
+  } catch (error) {
+    console.error('Error exporting voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Aggregated results for the whole session and for each company that voted
+app.get('/api/admin/voting/:votingSessionId/export/results', authenticateAdminStream, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    await recordAudit(req, 'export.results', sessionTarget(session), { details: { format } });
+    await streamResultsExport(res, session, format);
+  } catch (error) {
+    console.error('Error exporting results:', error);
+    endFailedExport(res, error);
+  }
+});
+
+// Every ballot, oldest first, without device or network identifiers
+app.get('/api/admin/voting/:votingSessionId/export/ballots', authenticateAdminStream, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    await recordAudit(req, 'export.ballots', sessionTarget(session), {
+      details: { format, companyId: req.query.companyId || null }
+    });
+    await streamBallotsExport(res, session, format, req.query.companyId);
+  } catch (error) {
+    console.error('Error exporting ballots:', error);
+    endFailedExport(res, error);
+  }
+});
+
+// Text-input answers, one row per response
+app.get('/api/admin/voting/:votingSessionId/export/text', authenticateAdminStream, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!session.sections.some(section => section.type === 'text-input')) {
+      return res.status(400).json({ message: 'This session has no text-input sections' });
+    }
+
+    await recordAudit(req, 'export.text', sessionTarget(session), {
+      details: { format: 'csv', companyId: req.query.companyId || null }
+    });
+    await streamTextExport(res, session, req.query.companyId);
+  } catch (error) {
+    console.error('Error exporting text responses:', error);
+    endFailedExport(res, error);
+  }
+});
+
+// Create a session from an exported definition. Schedule and company
+// assignment come from the request, as they would for create-voting.
+app.post('/api/admin/import-voting', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { definition, opensAt, closesAt, allCompanies, companyIds, requireAccessCode, votePolicy, resultsVisibility, tieBreak, deactivateOthers } = req.body;
+
+    if (!definition || typeof definition !== 'object') {
+      return res.status(400).json({ message: 'The file does not contain a session definition', path: '' });
+    }
+
+    if (definition.format !== undefined && definition.format !== DEFINITION_FORMAT) {
+      return res.status(400).json({ message: 'The file is not a voting session export', path: 'format' });
+    }
+
+    if (definition.formatVersion > DEFINITION_FORMAT_VERSION) {
+      return res.status(400).json({
+        message: `The file was exported by a newer version (format ${definition.formatVersion})`,
+        path: 'formatVersion'
+      });
+    }
+
+    const { voting, error } = await buildVotingSession({
+      title: definition.title,
+      sections: await dropMissingImages(definition.sections),
+      opensAt,
+      closesAt,
+      allCompanies,
+      companyIds,
+      requireAccessCode,
+      votePolicy,
+      resultsVisibility,
+      tieBreak
+    });
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    if (deactivateOthers) {
+      await VotingSession.updateMany({}, { isActive: false });
+    }
+
+    await voting.save();
+    await recordAudit(req, 'session.import', sessionTarget(voting), {
+      after: summarizeSession(voting),
+      details: { deactivateOthers: Boolean(deactivateOthers) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Voting session imported successfully',
+      voting
+    });
+  } catch (error) {
+    console.error('Error importing voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Saved section layouts admins can start new sessions from
+app.get('/api/admin/templates', authenticateAdmin, async (req, res) => {
+  try {
+    const templates = await SessionTemplate.find().sort({ name: 1 });
+    res.json(templates);
+  } catch (error) {
+    console.error('Error getting templates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save sections as a template, either sent directly or taken from an existing session
+app.post('/api/admin/templates', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { name, votingSessionId } = req.body;
+    let { sections } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Template name is required', path: 'name' });
+    }
+
+    if (votingSessionId) {
+      const session = await VotingSession.findOne({ id: votingSessionId });
+      if (!session) {
+        return res.status(404).json({ message: 'Voting session not found' });
+      }
+      sections = session.sections.map(section => section.toObject());
+    }
+
+    const sectionsError = validateSections(sections) || await findMissingImage(sections);
+    if (sectionsError) {
+      return res.status(400).json(sectionsError);
+    }
+
+    const template = new SessionTemplate({
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name.trim(),
+      sections
+    });
+
+    await template.save();
+    await recordAudit(req, 'template.create', { type: 'template', id: template.id, label: template.name }, {
+      after: { name: template.name, sections: template.sections.map(section => section.label) },
+      details: votingSessionId ? { votingSessionId } : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Template saved successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Error saving template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/templates/:templateId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const template = await SessionTemplate.findOneAndDelete({ id: req.params.templateId });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    await recordAudit(req, 'template.delete', { type: 'template', id: template.id, label: template.name }, {
+      before: { name: template.name, sections: template.sections.map(section => section.label) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload an option image. The body is the image file itself; ?filename= keeps
+// its original name for reference.
+app.post('/api/admin/images', authenticateAdmin, requireRole('manager'), receiveImage, async (req, res) => {
+  try {
+    const { asset, status, error } = await storeImage(req.body, {
+      filename: req.query.filename,
+      uploadedBy: req.admin.id
+    });
+
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await recordAudit(req, 'image.upload', { type: 'image', id: asset.id, label: asset.filename || asset.id }, {
+      after: { contentType: asset.contentType, size: asset.size, width: asset.width, height: asset.height }
+    });
+
+    res.json({
+      success: true,
+      message: 'Image uploaded',
+      image: toImageSummary(asset)
+    });
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/images/:imageId', authenticateAdmin, async (req, res) => {
+  try {
+    const asset = await ImageAsset.findOne({ id: req.params.imageId });
+    if (!asset) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    res.json({ ...toImageSummary(asset), inUse: await isImageInUse(asset.id) });
+  } catch (error) {
+    console.error('Error getting image:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Images still used by a session, template or archive cannot be deleted
+app.delete('/api/admin/images/:imageId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const asset = await ImageAsset.findOne({ id: req.params.imageId });
+    if (!asset) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    if (await isImageInUse(asset.id)) {
+      return res.status(409).json({ message: 'The image is still used by a session, template or archived session' });
+    }
+
+    for (const variant of asset.variants) {
+      await imageStorage.remove(getImageKey(asset.id, variant.name));
+    }
+    await ImageAsset.deleteOne({ id: asset.id });
+
+    await recordAudit(req, 'image.delete', { type: 'image', id: asset.id, label: asset.filename || asset.id }, {
+      before: { contentType: asset.contentType, size: asset.size }
+    });
+
+    res.json({
+      success: true,
+      message: 'Image deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting image:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get current voting session (admin)
+app.get('/api/admin/current-voting', authenticateAdmin, async (req, res) => {
+  try {
+    const currentVoting = await getCurrentVoting();
+
+    if (!currentVoting) {
+      return res.json({ active: false });
+    }
+
+    const totalVotes = await getVoteCount(currentVoting.id);
+
+    res.json({
+      active: true,
+      session: currentVoting,
+      schedule: getVotingSchedule(currentVoting),
+      totalVotes
+    });
+  } catch (error) {
+    console.error('Error getting current voting:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List every session with its schedule and vote count, newest first
+app.get('/api/admin/votings', authenticateAdmin, async (req, res) => {
+  try {
+    const sessions = await VotingSession.find().sort({ createdAt: -1 });
+    const votings = [];
+
+    for (const session of sessions) {
+      votings.push({
+        session,
+        schedule: getVotingSchedule(session),
+        totalVotes: await getVoteCount(session.id)
+      });
+    }
+
+    res.json(votings);
+  } catch (error) {
+    console.error('Error listing voting sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a session in place. Votes are kept; the previous definition is stored
+// in the session history and the version number goes up.
+app.patch('/api/admin/voting/:votingSessionId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { title, sections, optionMigrations, removedSections } = req.body;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const newTitle = title !== undefined ? title : session.title;
+    if (!newTitle) {
+      return res.status(400).json({ message: 'Title cannot be empty' });
+    }
+
+    const newSections = sections !== undefined ? sections : session.sections.map(section => section.toObject());
+
+    const sectionsError = validateSections(newSections) || await findMissingImage(newSections);
+    if (sectionsError) {
+      return res.status(400).json(sectionsError);
+    }
+
+    const usage = await getOptionUsage(session);
+    const plan = planSessionEdit(
+      session,
+      newSections,
+      usage,
+      optionMigrations || {},
+      Array.isArray(removedSections) ? removedSections : []
+    );
+
+    if (plan.error) {
+      return res.status(plan.status).json({
+        message: plan.error,
+        conflicts: plan.conflicts
+      });
+    }
+
+    const migratedVotes = await migrateVotes(session, plan.migrations);
+    const before = summarizeSession(session);
+
+    session.history.push({
+      version: session.version,
+      title: session.title,
+      sections: session.sections.map(section => section.toObject()),
+      replacedAt: new Date()
+    });
+    session.version += 1;
+    session.title = newTitle;
+    session.sections = newSections;
+    await session.save();
+
+    await rebuildTallies(session, { force: true });
+
+    await recordAudit(req, 'session.edit', sessionTarget(session), {
+      before,
+      after: summarizeSession(session),
+      details: { migratedVotes }
+    });
+
+    publishResultsEvent('resync', { votingSessionId });
+
+    res.json({
+      success: true,
+      message: `Voting session updated to version ${session.version}`,
+      session,
+      migratedVotes
+    });
+  } catch (error) {
+    console.error('Error editing voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Current and previous definitions of a session
+app.get('/api/admin/voting/:votingSessionId/versions', authenticateAdmin, async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    res.json({
+      currentVersion: session.version,
+      versions: [
+        ...session.history,
+        { version: session.version, title: session.title, sections: session.sections, replacedAt: null }
+      ]
+    });
+  } catch (error) {
+    console.error('Error getting session versions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change which companies can vote in a session
+app.patch('/api/admin/voting/:votingSessionId/companies', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { allCompanies, companyIds } = req.body;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const assignmentError = await validateCompanyAssignment(allCompanies, companyIds);
+    if (assignmentError) {
+      return res.status(400).json({ message: assignmentError });
+    }
+
+    const before = { allCompanies: session.allCompanies !== false, companyIds: [...session.companyIds] };
+
+    session.allCompanies = allCompanies !== false;
+    session.companyIds = session.allCompanies ? [] : [...new Set(companyIds)];
+    await session.save();
+
+    await recordAudit(req, 'session.companies', sessionTarget(session), {
+      before,
+      after: { allCompanies: session.allCompanies, companyIds: [...session.companyIds] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session companies updated successfully',
+      session
+    });
+  } catch (error) {
+    console.error('Error updating session companies:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.patch('/api/admin/voting/:votingSessionId/toggle', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    session.isActive = !session.isActive;
+    await session.save();
+
+    await recordAudit(req, 'session.toggle', sessionTarget(session), {
+      before: { isActive: !session.isActive },
+      after: { isActive: session.isActive }
+    });
+
+    publishResultsEvent('status', {
+      votingSessionId,
+      active: session.isActive
+    });
+
+    // Reactivating an after-close session hides its results again
+    if (!areResultsPublic(session)) {
+      closePublicStreams(votingSessionId);
+    }
+
+    res.json({
+      success: true,
+      message: `Voting session ${session.isActive ? 'activated' : 'deactivated'}`,
+      session
+    });
+  } catch (error) {
+    console.error('Error toggling voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn the access code requirement on or off
+app.patch('/api/admin/voting/:votingSessionId/access-mode', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { requireAccessCode } = req.body;
+
+    if (typeof requireAccessCode !== 'boolean') {
+      return res.status(400).json({ message: 'requireAccessCode must be true or false' });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const before = { requireAccessCode: Boolean(session.requireAccessCode) };
+
+    session.requireAccessCode = requireAccessCode;
+    await session.save();
+
+    await recordAudit(req, 'session.access-mode', sessionTarget(session), {
+      before,
+      after: { requireAccessCode }
+    });
+
+    res.json({
+      success: true,
+      message: requireAccessCode ? 'Access codes are now required' : 'Access codes are no longer required',
+      session
+    });
+  } catch (error) {
+    console.error('Error updating access mode:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Choose who can see the session's results
+app.patch('/api/admin/voting/:votingSessionId/results-visibility', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { resultsVisibility } = req.body;
+
+    if (!RESULTS_VISIBILITIES.includes(resultsVisibility)) {
+      return res.status(400).json({ message: `resultsVisibility must be one of: ${RESULTS_VISIBILITIES.join(', ')}` });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const before = { resultsVisibility: session.resultsVisibility || 'public' };
+
+    session.resultsVisibility = resultsVisibility;
+    await session.save();
+
+    await recordAudit(req, 'session.results-visibility', sessionTarget(session), {
+      before,
+      after: { resultsVisibility }
+    });
+
+    if (areResultsPublic(session)) {
+      publishResultsEvent('resync', { votingSessionId });
+    } else {
+      closePublicStreams(votingSessionId);
+    }
+
+    res.json({
+      success: true,
+      message: {
+        public: 'Results are now public',
+        'after-close': 'Results will be public once voting closes',
+        admin: 'Results are now visible to admins only'
+      }[resultsVisibility],
+      session
+    });
+  } catch (error) {
+    console.error('Error updating results visibility:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/voting/:votingSessionId/reveal', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    res.json(await describeReveal(session));
+  } catch (error) {
+    console.error('Error getting results reveal:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Drive the results reveal shown on presentation screens:
+// { action: 'start' | 'next' | 'previous' | 'end', places }
+app.post('/api/admin/voting/:votingSessionId/reveal', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { action } = req.body;
+
+    if (!['start', 'next', 'previous', 'end'].includes(action)) {
+      return res.status(400).json({ message: 'action must be start, next, previous or end' });
+    }
+
+    const places = req.body.places === undefined ? 3 : Number(req.body.places);
+    if (action === 'start' && (!Number.isInteger(places) || places < 1 || places > MAX_REVEAL_PLACES)) {
+      return res.status(400).json({ message: `places must be a whole number from 1 to ${MAX_REVEAL_PLACES}` });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const reveal = session.reveal || {};
+    if (action !== 'start' && !reveal.active) {
+      return res.status(409).json({ message: 'No reveal is in progress for this session' });
+    }
+
+    if (action === 'start') {
+      session.reveal = { active: true, step: 0, places, startedAt: new Date(), updatedAt: new Date() };
+    } else if (action === 'end') {
+      session.reveal = { active: false, step: 0, places: reveal.places, startedAt: reveal.startedAt, updatedAt: new Date() };
+    } else {
+      // describeReveal clamps the step to the last one
+      const current = await describeReveal(session);
+      const step = action === 'next'
+        ? Math.min(current.step + 1, Math.max(current.totalSteps - 1, 0))
+        : Math.max(current.step - 1, 0);
+      session.reveal = { ...reveal.toObject(), step, updatedAt: new Date() };
+    }
+
+    await session.save();
+
+    if (action === 'start' || action === 'end') {
+      await recordAudit(req, `session.reveal-${action}`, sessionTarget(session), {
+        details: action === 'start' ? { places } : { step: reveal.step }
+      });
+    }
+
+    const state = await describeReveal(session);
+    publishResultsEvent('reveal', { votingSessionId, active: state.active, step: state.step });
+
+    res.json({ success: true, reveal: state });
+  } catch (error) {
+    console.error('Error updating results reveal:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Winners per section and how each tie would be settled. Certified sessions
+// also return their snapshot summary.
+app.get('/api/admin/voting/:votingSessionId/winners', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const { results } = await buildResults(session, null, { textResponses: false });
+    const { winners, unresolved } = await resolveWinners(session, results);
+
+    const runoff = session.runoffSessionId && await VotingSession.findOne({ id: session.runoffSessionId });
+    const snapshot = await FinalResults.findOne({ votingSessionId: session.id });
+
+    res.json({
+      closed: isVotingOver(session),
+      tieBreak: session.tieBreak || 'admin',
+      winners,
+      unresolved,
+      runoff: runoff ? { id: runoff.id, title: runoff.title, closed: isVotingOver(runoff) } : null,
+      certified: snapshot
+        ? { id: snapshot.id, certifiedAt: snapshot.createdAt, payloadHash: snapshot.payloadHash, keyId: snapshot.keyId, publishedAt: session.finalResultsPublishedAt || null }
+        : null
+    });
+  } catch (error) {
+    console.error('Error determining winners:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.patch('/api/admin/voting/:votingSessionId/tie-break', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { tieBreak } = req.body;
+
+    if (!TIE_BREAK_RULES.includes(tieBreak)) {
+      return res.status(400).json({ message: `tieBreak must be one of: ${TIE_BREAK_RULES.join(', ')}` });
+    }
+
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (await FinalResults.exists({ votingSessionId: session.id })) {
+      return res.status(409).json({ message: 'The results of this session are already certified' });
+    }
+
+    const before = { tieBreak: session.tieBreak || 'admin' };
+
+    session.tieBreak = tieBreak;
+    await session.save();
+
+    await recordAudit(req, 'session.tie-break', sessionTarget(session), {
+      before,
+      after: { tieBreak }
+    });
+
+    res.json({ success: true, message: 'Tie-break rule updated', session });
+  } catch (error) {
+    console.error('Error updating tie-break rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a runoff session between the options tied for first place. It opens
+// immediately for the same companies, with one single-select section per tie
+// (keeping the tied section's id), and closes when an admin closes it.
+app.post('/api/admin/voting/:votingSessionId/runoff', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if ((session.tieBreak || 'admin') !== 'runoff') {
+      return res.status(400).json({ message: 'This session does not settle ties with a runoff' });
+    }
+
+    if (session.runoffSessionId) {
+      return res.status(409).json({ message: 'A runoff has already been started for this session' });
+    }
+
+    if (!isVotingOver(session)) {
+      return res.status(409).json({ message: 'Close voting before starting a runoff' });
+    }
+
+    const { results } = await buildResults(session, null, { textResponses: false });
+    const ties = determineWinners(session, results).filter(entry => entry.tied);
+
+    if (ties.length === 0) {
+      return res.status(400).json({ message: 'There are no ties to settle' });
+    }
+
+    const runoff = new VotingSession({
+      id: crypto.randomBytes(16).toString('hex'),
+      title: `${session.title} (runoff)`,
+      sections: ties.map(tie => {
+        const section = session.sections.find(s => s.id === tie.sectionId);
+        return {
+          id: section.id,
+          label: section.label,
+          type: 'single-select',
+          required: true,
+          options: section.options
+            .filter(option => tie.tied.includes(option.name))
+            .map(option => ({ name: option.name, imageUrl: option.imageUrl, imageId: option.imageId }))
+        };
+      }),
+      isActive: true,
+      allCompanies: session.allCompanies !== false,
+      companyIds: session.companyIds,
+      // The runoff is as restricted as the session it settles. Access codes
+      // belong to one session, so code-gated runoffs need their own batch.
+      requireAccessCode: Boolean(session.requireAccessCode),
+      votePolicy: getVotePolicy(session),
+      resultsVisibility: session.resultsVisibility,
+      tieBreak: 'admin',
+      runoffOf: session.id,
+      talliesBuiltAt: new Date(),
+      tallyFormat: TALLY_FORMAT,
+      tallyGeneration: createTallyGeneration()
+    });
+    await runoff.save();
+
+    session.runoffSessionId = runoff.id;
+    await session.save();
+
+    await recordAudit(req, 'session.runoff', sessionTarget(session), {
+      after: { runoffSessionId: runoff.id },
+      details: { ties: ties.map(tie => ({ sectionId: tie.sectionId, tied: tie.tied })) }
+    });
+
+    res.json({
+      success: true,
+      message: runoff.requireAccessCode
+        ? 'Runoff session started. Issue access codes for it before sharing the link.'
+        : 'Runoff session started',
+      runoff
+    });
+  } catch (error) {
+    console.error('Error starting runoff:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Freeze the results of a closed session: { decisions: { sectionId: option } }
+// settles ties under the admin rule. Any tie left open is a 409.
+app.post('/api/admin/voting/:votingSessionId/certify', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const decisions = req.body.decisions && typeof req.body.decisions === 'object' ? req.body.decisions : {};
+
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!isVotingOver(session)) {
+      return res.status(409).json({ message: 'Results can only be certified once voting has closed' });
+    }
+
+    if (await FinalResults.exists({ votingSessionId: session.id })) {
+      return res.status(409).json({ message: 'The results of this session are already certified' });
+    }
+
+    const { results } = await buildResults(session, null, { textResponses: false });
+    const { winners, unresolved } = await resolveWinners(session, results, decisions);
+
+    if (unresolved.length > 0) {
+      return res.status(409).json({
+        message: `Settle the tie in ${unresolved.map(entry => `"${entry.label}"`).join(', ')} before certifying`,
+        unresolved
+      });
+    }
+
+    const snapshot = await createFinalResults(req, session, winners);
+
+    await recordAudit(req, 'results.certify', sessionTarget(session), {
+      after: { finalResultsId: snapshot.id, payloadHash: snapshot.payloadHash },
+      details: { winners: winners.map(entry => ({ sectionId: entry.sectionId, winner: entry.winner, tieBreak: entry.tieBreak })) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Final results certified',
+      finalResults: toFinalResultsResponse(snapshot, session)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'The results of this session are already certified' });
+    }
+    console.error('Error certifying results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/voting/:votingSessionId/final-results', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    const snapshot = await FinalResults.findOne({ votingSessionId: req.params.votingSessionId });
+
+    if (!snapshot) {
+      return res.status(404).json({ message: 'The results of this session have not been certified' });
+    }
+
+    res.json(toFinalResultsResponse(snapshot, session));
+  } catch (error) {
+    console.error('Error getting final results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Publish or withdraw the certified results: { published }
+app.patch('/api/admin/voting/:votingSessionId/final-results', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { published } = req.body;
+
+    if (typeof published !== 'boolean') {
+      return res.status(400).json({ message: 'published must be true or false' });
+    }
+
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!await FinalResults.exists({ votingSessionId: session.id })) {
+      return res.status(404).json({ message: 'The results of this session have not been certified' });
+    }
+
+    const before = { publishedAt: session.finalResultsPublishedAt || null };
+
+    session.finalResultsPublishedAt = published ? new Date() : undefined;
+    await session.save();
+
+    await recordAudit(req, published ? 'results.publish' : 'results.unpublish', sessionTarget(session), {
+      before,
+      after: { publishedAt: session.finalResultsPublishedAt || null }
+    });
+
+    publishResultsEvent('resync', { votingSessionId: session.id });
+
+    res.json({
+      success: true,
+      message: published ? 'Final results published' : 'Final results withdrawn',
+      publishedAt: session.finalResultsPublishedAt || null
+    });
+  } catch (error) {
+    console.error('Error publishing final results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// How many codes were issued and redeemed, per company and per batch
+app.get('/api/admin/voting/:votingSessionId/access-codes', authenticateAdmin, async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const batches = await AccessCode.aggregate([
+      { $match: { votingSessionId } },
+      {
+        $group: {
+          _id: '$batchId',
+          companyId: { $first: '$companyId' },
+          createdAt: { $min: '$createdAt' },
+          issued: { $sum: 1 },
+          redeemed: { $sum: { $cond: [{ $ne: ['$redeemedAt', null] }, 1, 0] } }
         }
+      },
+      { $sort: { createdAt: -1 } }
+    ]);
+
+    const companyNames = await getCompanyNames();
+    const companies = {};
+
+    batches.forEach(batch => {
+      companies[batch.companyId] = companies[batch.companyId] || {
+        companyId: batch.companyId,
+        company: companyNames.get(batch.companyId) || batch.companyId,
+        issued: 0,
+        redeemed: 0
+      };
+      companies[batch.companyId].issued += batch.issued;
+      companies[batch.companyId].redeemed += batch.redeemed;
+    });
+
+    res.json({
+      requireAccessCode: session.requireAccessCode,
+      issued: batches.reduce((sum, batch) => sum + batch.issued, 0),
+      redeemed: batches.reduce((sum, batch) => sum + batch.redeemed, 0),
+      companies: Object.values(companies).sort((a, b) => a.company.localeCompare(b.company)),
+      batches: batches.map(batch => ({
+        batchId: batch._id,
+        companyId: batch.companyId,
+        company: companyNames.get(batch.companyId) || batch.companyId,
+        createdAt: batch.createdAt,
+        issued: batch.issued,
+        redeemed: batch.redeemed
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting access codes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate a batch of codes for one company
+app.post('/api/admin/voting/:votingSessionId/access-codes', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { companyId } = req.body;
+    const count = Number(req.body.count);
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const company = await Company.findOne({ id: companyId });
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!sessionAppliesToCompany(session, companyId)) {
+      return res.status(400).json({ message: 'This voting session is not open to that company' });
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ACCESS_CODE_BATCH) {
+      return res.status(400).json({ message: `Count must be a whole number from 1 to ${MAX_ACCESS_CODE_BATCH}` });
+    }
+
+    const batchId = await issueAccessCodes(votingSessionId, companyId, count);
+
+    await recordAudit(req, 'access-codes.create', sessionTarget(session), {
+      after: { issued: count },
+      details: { batchId, companyId, company: company.name }
+    });
+
+    res.json({
+      success: true,
+      message: `${count} access codes created for ${company.name}`,
+      batchId
+    });
+  } catch (error) {
+    console.error('Error creating access codes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download codes as CSV, optionally limited to one batch or company
+app.get('/api/admin/voting/:votingSessionId/access-codes/export', authenticateAdminStream, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { batchId, companyId } = req.query;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const filter = { votingSessionId };
+    if (batchId) filter.batchId = batchId;
+    if (companyId) filter.companyId = companyId;
+
+    const companyNames = await getCompanyNames();
+
+    await recordAudit(req, 'export.access-codes', sessionTarget(session), {
+      details: { batchId: batchId || null, companyId: companyId || null }
+    });
+
+    startDownload(res, session, batchId ? `access-codes-${batchId}` : 'access-codes', 'csv');
+    await writeChunk(res, toCsvRow(['code', 'companyId', 'company', 'batchId', 'createdAt', 'redeemed']));
+
+    const cursor = AccessCode.find(filter).sort({ companyId: 1, createdAt: 1 }).lean().cursor();
+
+    for await (const accessCode of cursor) {
+      if (res.destroyed) {
+        await cursor.close();
+        return;
+      }
+
+      await writeChunk(res, toCsvRow([
+        formatAccessCode(accessCode.code),
+        accessCode.companyId,
+        companyNames.get(accessCode.companyId) || '',
+        accessCode.batchId,
+        accessCode.createdAt.toISOString(),
+        accessCode.redeemedAt ? 'yes' : 'no'
+      ]));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Error exporting access codes:', error);
+    endFailedExport(res, error);
+  }
+});
+
+app.post('/api/admin/reset-voting/:votingSessionId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    // The ballots are archived, so their codes can be used again
+    const archive = await archiveSessionVotes(req, session);
+
+    await recordAudit(req, 'session.reset', sessionTarget(session), {
+      before: { votes: archive.voteCount, redeemedAccessCodes: archive.accessCodes.length },
+      after: { votes: 0, redeemedAccessCodes: 0 },
+      details: { archiveId: archive.id, purgeAfter: archive.purgeAfter }
+    });
+
+    publishResultsEvent('reset', { votingSessionId });
+
+    res.json({
+      success: true,
+      message: 'Voting session reset successfully',
+      deletedVotes: archive.voteCount,
+      archive: toArchiveSummary(archive)
+    });
+  } catch (error) {
+    console.error('Error resetting voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a session. It and its ballots are archived and can be restored.
+app.delete('/api/admin/voting/:votingSessionId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const before = summarizeSession(session);
+    const archive = await archiveSession(req, session);
+
+    await recordAudit(req, 'session.delete', sessionTarget(session), {
+      before: { ...before, votes: archive.voteCount },
+      after: null,
+      details: { archiveId: archive.id, purgeAfter: archive.purgeAfter }
+    });
+
+    publishResultsEvent('status', { votingSessionId, active: false });
+    publishResultsEvent('resync', { votingSessionId });
+
+    res.json({
+      success: true,
+      message: `Voting session archived. It can be restored until ${archive.purgeAfter.toISOString().slice(0, 10)}.`,
+      archive: toArchiveSummary(archive)
+    });
+  } catch (error) {
+    console.error('Error deleting voting session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Votes over time with a per-company breakdown: ?bucket=<seconds>&companyId=
+app.get('/api/admin/voting/:votingSessionId/timeline', authenticateAdmin, async (req, res) => {
+  try {
+    const { bucketSeconds, error } = parseTimelineBucket(req.query.bucket);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const companyId = req.query.companyId || undefined;
+    res.json({
+      session: { id: session.id, title: session.title, opensAt: session.opensAt, closesAt: session.closesAt },
+      ...(await buildTimeline(session, { companyId, bucketSeconds, byCompany: !companyId }))
+    });
+  } catch (error) {
+    console.error('Error getting vote timeline:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every company's results side by side with the overall result
+app.get('/api/admin/voting/:votingSessionId/comparison', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    res.json(await buildComparison(session));
+  } catch (error) {
+    console.error('Error building company comparison:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Companies ranked by turnout
+app.get('/api/admin/voting/:votingSessionId/leaderboard', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    res.json({
+      votingSessionId: session.id,
+      title: session.title,
+      leaderboard: await buildLeaderboard(session)
+    });
+  } catch (error) {
+    console.error('Error building turnout leaderboard:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ballots that look automated or duplicated, for review
+app.get('/api/admin/voting/:votingSessionId/fraud-report', authenticateAdmin, async (req, res) => {
+  try {
+    const session = await VotingSession.findOne({ id: req.params.votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    res.json({
+      session: { id: session.id, title: session.title },
+      ...(await buildFraudReport(session))
+    });
+  } catch (error) {
+    console.error('Error building fraud report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exclude ballots from the results. They stay stored and can be reinstated.
+app.post('/api/admin/voting/:votingSessionId/ballots/invalidate', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+
+    const { ids, error } = parseBallotIds(req.body.ballotIds);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const invalidated = [];
+    for (const ballotId of ids) {
+      const changed = await updateCountedVote(
+        session,
+        { _id: ballotId, votingSessionId, invalidatedAt: null },
+        { $set: { invalidatedAt: new Date(), invalidatedBy: req.admin.id, invalidationReason: reason || undefined } }
+      );
+
+      if (changed) {
+        invalidated.push(ballotId);
+      }
+    }
+
+    if (invalidated.length > 0) {
+      await recordAudit(req, 'ballots.invalidate', sessionTarget(session), {
+        after: { invalidated: invalidated.length },
+        details: { ballotIds: invalidated, reason: reason || null }
+      });
+
+      publishResultsEvent('resync', { votingSessionId });
+    }
+
+    res.json({
+      success: true,
+      message: `${invalidated.length} ballot${invalidated.length === 1 ? '' : 's'} invalidated`,
+      invalidated
+    });
+  } catch (error) {
+    console.error('Error invalidating ballots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Count previously invalidated ballots again
+app.post('/api/admin/voting/:votingSessionId/ballots/reinstate', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    const { ids, error } = parseBallotIds(req.body.ballotIds);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const reinstated = [];
+    for (const ballotId of ids) {
+      const changed = await updateCountedVote(
+        session,
+        { _id: ballotId, votingSessionId, invalidatedAt: { $ne: null } },
+        { $set: { invalidatedAt: null }, $unset: { invalidatedBy: 1, invalidationReason: 1 } }
+      );
+
+      if (changed) {
+        await countVote(session, changed.current);
+        reinstated.push(ballotId);
+      }
+    }
+
+    if (reinstated.length > 0) {
+      await recordAudit(req, 'ballots.reinstate', sessionTarget(session), {
+        after: { reinstated: reinstated.length },
+        details: { ballotIds: reinstated }
+      });
+
+      publishResultsEvent('resync', { votingSessionId });
+    }
+
+    res.json({
+      success: true,
+      message: `${reinstated.length} ballot${reinstated.length === 1 ? '' : 's'} reinstated`,
+      reinstated
+    });
+  } catch (error) {
+    console.error('Error reinstating ballots:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Text answers awaiting (or past) moderation, newest first
+app.get('/api/admin/voting/:votingSessionId/moderation', authenticateAdmin, async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const status = req.query.status || 'pending';
+    const { sectionId } = req.query;
+
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const textSections = session.sections.filter(section =>
+      section.type === 'text-input' && (!sectionId || section.id === sectionId)
+    );
+    if (textSections.length === 0) {
+      return res.status(400).json({ message: 'This session has no matching text-input sections' });
+    }
+
+    const companyNames = await getCompanyNames();
+    const counts = { pending: 0, approved: 0, rejected: 0 };
+    const responses = [];
+
+    for (const section of textSections) {
+      const answered = { votingSessionId, invalidatedAt: null, [`votes.${section.id}`]: { $type: 'string', $ne: '' } };
+
+      const [pending, rejected, total] = await Promise.all([
+        Vote.countDocuments({ ...answered, [`moderation.${section.id}.status`]: 'pending' }),
+        Vote.countDocuments({ ...answered, [`moderation.${section.id}.status`]: 'rejected' }),
+        Vote.countDocuments(answered)
+      ]);
+      counts.pending += pending;
+      counts.rejected += rejected;
+      counts.approved += total - pending - rejected;
+
+      const statusFilter = status === 'approved'
+        ? approvedResponseFilter(section.id)
+        : { [`moderation.${section.id}.status`]: status };
+
+      const voteDocs = await Vote.find({ ...answered, ...statusFilter })
+        .select({ companyId: 1, timestamp: 1, [`votes.${section.id}`]: 1, [`moderation.${section.id}`]: 1 })
+        .sort({ timestamp: -1 })
+        .limit(MODERATION_PAGE_SIZE)
+        .lean();
+
+      voteDocs.forEach(voteDoc => {
+        const moderation = getModeration(voteDoc, section.id);
+        responses.push({
+          ballotId: voteDoc._id.toString(),
+          sectionId: section.id,
+          section: section.label,
+          companyId: voteDoc.companyId,
+          company: companyNames.get(voteDoc.companyId) || '',
+          timestamp: voteDoc.timestamp,
+          response: getVoteData(voteDoc)[section.id],
+          text: moderation.text || null,
+          status: moderation.status,
+          flaggedTerms: moderation.flaggedTerms || [],
+          moderatedBy: moderation.moderatedBy || null,
+          moderatedAt: moderation.moderatedAt || null
+        });
+      });
+    }
+
+    responses.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json({ counts, responses: responses.slice(0, MODERATION_PAGE_SIZE) });
+  } catch (error) {
+    console.error('Error loading moderation queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve, reject or edit one text answer. Editing publishes the edited text
+// in place of the original, which is kept for the record.
+app.patch('/api/admin/voting/:votingSessionId/moderation/:ballotId/:sectionId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const { votingSessionId, ballotId, sectionId } = req.params;
+    const { action } = req.body;
+
+    if (!['approve', 'reject', 'edit'].includes(action)) {
+      return res.status(400).json({ message: 'action must be approve, reject or edit' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(ballotId)) {
+      return res.status(404).json({ message: 'Response not found' });
+    }
+
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const section = session.sections.find(s => s.id === sectionId && s.type === 'text-input');
+    if (!section) {
+      return res.status(404).json({ message: 'Text section not found' });
+    }
+
+    let text;
+    if (action === 'edit') {
+      text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+      const maxLength = section.maxLength || DEFAULT_TEXT_MAX_LENGTH;
+      if (!text) {
+        return res.status(400).json({ message: 'Edited text is required' });
+      }
+      if (text.length > maxLength) {
+        return res.status(400).json({ message: `Edited text can be at most ${maxLength} characters` });
       }
-      // text-input type is already validated above for required check
     }
 
-    const newVote = new Vote({
-      votingSessionId,
-      companyId: companyId,
-      votes: votes,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      deviceId
+    const voteDoc = await Vote.findOne({ _id: ballotId, votingSessionId }).lean();
+    const response = voteDoc && getVoteData(voteDoc)[sectionId];
+    if (typeof response !== 'string' || response.trim() === '') {
+      return res.status(404).json({ message: 'Response not found' });
+    }
+
+    const before = getModeration(voteDoc, sectionId);
+    const after = {
+      status: action === 'reject' ? 'rejected' : 'approved',
+      text: action === 'edit' ? text : (action === 'approve' ? before.text : undefined),
+      flaggedTerms: before.flaggedTerms,
+      moderatedBy: req.admin.id,
+      moderatedAt: new Date()
+    };
+
+    // The decision changes which answer, if any, the ballot counts for
+    const changed = await updateCountedVote(session, { _id: ballotId }, { $set: { [`moderation.${sectionId}`]: after } });
+    if (changed && !changed.current.invalidatedAt) {
+      await countVote(session, changed.current);
+    }
+
+    await recordAudit(req, `moderation.${action}`, sessionTarget(session), {
+      before: { status: before.status, text: before.text || null },
+      after: { status: after.status, text: after.text || null },
+      details: { ballotId, sectionId, response }
     });
 
-    await newVote.save();
+    publishResultsEvent('resync', { votingSessionId });
 
     res.json({
       success: true,
-      message: 'Vote submitted successfully',
-      canVoteAgainAt: new Date(Date.now() + 3 * 60 * 60 * 1000)
+      message: `Response ${action === 'edit' ? 'edited' : `${action}d`}`,
+      status: after.status,
+      text: after.text || null
     });
   } catch (error) {
-    console.error('Error submitting vote:', error);
+    console.error('Error moderating response:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/results/:votingSessionId', async (req, res) => {
+// Recount a session's tallies from the raw votes
+app.post('/api/admin/voting/:votingSessionId/rebuild-results', authenticateAdmin, requireRole('manager'), async (req, res) => {
   try {
     const { votingSessionId } = req.params;
-    const votingSession = await VotingSession.findOne({ id: votingSessionId });
 
-    if (!votingSession) {
+    const session = await VotingSession.findOne({ id: votingSessionId });
+    if (!session) {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
-    const allVotes = await Vote.find({ votingSessionId });
+    await rebuildTallies(session, { force: true });
+    await recordAudit(req, 'session.rebuild-results', sessionTarget(session));
 
-    // Initialize results structure based on sections
-    const results = {};
-
-    votingSession.sections.forEach(section => {
-      if (section.type === 'text-input') {
-        results[section.id] = {
-          type: 'text-input',
-          label: section.label,
-          responses: []
-        };
-      } else {
-        results[section.id] = {
-          type: section.type,
-          label: section.label,
-          options: {}
-        };
+    publishResultsEvent('resync', { votingSessionId });
 
-        section.options.forEach(option => {
-          results[section.id].options[option.name] = {
-            votes: 0,
-            imageUrl: option.imageUrl
-          };
-        });
-      }
+    res.json({
+      success: true,
+      message: 'Results rebuilt successfully',
+      rebuiltAt: session.talliesBuiltAt
     });
+  } catch (error) {
+    console.error('Error rebuilding results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Count votes
-    allVotes.forEach(voteDoc => {
-      const voteData = voteDoc.votes instanceof Map ? Object.fromEntries(voteDoc.votes) : voteDoc.votes;
+app.get('/api/admin/stats', authenticateAdmin, async (req, res) => {
+  try {
+    const companies = await Company.find();
+    const currentVotings = await getCurrentVotings();
+    const sessions = [];
+    const stats = [];
+    const voteCounts = new Map();
 
-      votingSession.sections.forEach(section => {
-        const sectionVote = voteData[section.id];
+    for (const currentVoting of currentVotings) {
+      const counts = await getVoteCountsByCompany(currentVoting);
+      voteCounts.set(currentVoting.id, counts);
 
-        if (section.type === 'text-input') {
-          if (sectionVote && sectionVote.trim() !== '') {
-            results[section.id].responses.push({
-              response: sectionVote,
-              timestamp: voteDoc.timestamp
-            });
-          }
-        } else if (section.type === 'single-select') {
-          if (sectionVote && results[section.id].options[sectionVote]) {
-            results[section.id].options[sectionVote].votes++;
-          }
-        } else if (section.type === 'multi-select') {
-          if (Array.isArray(sectionVote)) {
-            sectionVote.forEach(option => {
-              if (results[section.id].options[option]) {
-                results[section.id].options[option].votes++;
-              }
-            });
-          }
-        }
+      sessions.push({
+        id: currentVoting.id,
+        title: currentVoting.title,
+        allCompanies: currentVoting.allCompanies,
+        companyIds: currentVoting.companyIds,
+        totalVotes: [...counts.values()].reduce((sum, count) => sum + count, 0)
       });
-    });
+    }
+
+    for (const company of companies) {
+      const sessionVotes = {};
+      let companyVotes = 0;
 
-    // Format results
-    const formattedResults = {};
+      for (const currentVoting of currentVotings) {
+        if (!sessionAppliesToCompany(currentVoting, company.id)) {
+          continue;
+        }
 
-    Object.entries(results).forEach(([sectionId, sectionData]) => {
-      if (sectionData.type === 'text-input') {
-        formattedResults[sectionId] = {
-          type: sectionData.type,
-          label: sectionData.label,
-          responses: sectionData.responses
-        };
-      } else {
-        formattedResults[sectionId] = {
-          type: sectionData.type,
-          label: sectionData.label,
-          options: Object.entries(sectionData.options)
-            .map(([name, data]) => ({
-              name,
-              votes: data.votes,
-              imageUrl: data.imageUrl
-            }))
-            .sort((a, b) => b.votes - a.votes)
-        };
+        sessionVotes[currentVoting.id] = voteCounts.get(currentVoting.id).get(company.id) || 0;
+        companyVotes += sessionVotes[currentVoting.id];
       }
-    });
+
+      stats.push({
+        company: {
+          id: company.id,
+          name: company.name,
+          headcount: company.headcount || null,
+          createdAt: company.createdAt
+        },
+        votes: companyVotes,
+        sessionVotes
+      });
+    }
+
+    const totalVotes = sessions.reduce((sum, session) => sum + session.totalVotes, 0);
 
     res.json({
-      active: votingSession.isActive,
-      title: votingSession.title,
-      results: formattedResults,
-      totalVotes: allVotes.length
+      sessions,
+      totalVotes,
+      companies: stats
     });
   } catch (error) {
-    console.error('Error getting results:', error);
+    console.error('Error getting all stats:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get results by company
-app.get('/api/results/:votingSessionId/company/:companyId', async (req, res) => {
+// Archived companies, sessions and resets that can still be restored
+app.get('/api/admin/archive', authenticateAdmin, async (req, res) => {
   try {
-    const { votingSessionId, companyId } = req.params;
-    const votingSession = await VotingSession.findOne({ id: votingSessionId });
+    const archives = await Archive.find().sort({ archivedAt: -1 });
+    res.json({
+      retentionDays: ARCHIVE_RETENTION_DAYS,
+      archives: archives.map(toArchiveSummary)
+    });
+  } catch (error) {
+    console.error('Error getting archive:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (!votingSession) {
-      return res.status(404).json({ message: 'Voting session not found' });
+app.post('/api/admin/archive/:archiveId/restore', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const archive = await Archive.findOne({ id: req.params.archiveId });
+    if (!archive) {
+      return res.status(404).json({ message: 'Archived item not found' });
     }
 
-    const company = await Company.findOne({ id: companyId });
-    if (!company) {
-      return res.status(404).json({ message: 'Company not found' });
+    const { note, status, error } = await restoreArchive(archive);
+    if (error) {
+      return res.status(status).json({ message: error });
     }
 
-    const companyVotes = await Vote.find({ votingSessionId, companyId });
-
-    // Initialize results structure based on sections
-    const results = {};
-
-    votingSession.sections.forEach(section => {
-      if (section.type === 'text-input') {
-        results[section.id] = {
-          type: 'text-input',
-          label: section.label,
-          responses: []
-        };
-      } else {
-        results[section.id] = {
-          type: section.type,
-          label: section.label,
-          options: {}
-        };
-
-        section.options.forEach(option => {
-          results[section.id].options[option.name] = {
-            votes: 0,
-            imageUrl: option.imageUrl
-          };
-        });
-      }
+    await recordAudit(req, 'archive.restore', toArchiveTarget(archive), {
+      after: { kind: archive.kind, votes: archive.voteCount },
+      details: { archiveId: archive.id }
     });
 
-    // Count votes
-    companyVotes.forEach(voteDoc => {
-      const voteData = voteDoc.votes instanceof Map ? Object.fromEntries(voteDoc.votes) : voteDoc.votes;
-
-      votingSession.sections.forEach(section => {
-        const sectionVote = voteData[section.id];
-
-        if (section.type === 'text-input') {
-          if (sectionVote && sectionVote.trim() !== '') {
-            results[section.id].responses.push({
-              response: sectionVote,
-              timestamp: voteDoc.timestamp
-            });
-          }
-        } else if (section.type === 'single-select') {
-          if (sectionVote && results[section.id].options[sectionVote]) {
-            results[section.id].options[sectionVote].votes++;
-          }
-        } else if (section.type === 'multi-select') {
-          if (Array.isArray(sectionVote)) {
-            sectionVote.forEach(option => {
-              if (results[section.id].options[option]) {
-                results[section.id].options[option].votes++;
-              }
-            });
-          }
-        }
-      });
+    res.json({
+      success: true,
+      message: note ? `${archive.label} restored. ${note}.` : `${archive.label} restored`,
+      restoredVotes: archive.voteCount
     });
+  } catch (error) {
+    console.error('Error restoring archive:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently remove an archived item before its retention window ends
+app.delete('/api/admin/archive/:archiveId', authenticateAdmin, requireRole('manager'), async (req, res) => {
+  try {
+    const archive = await Archive.findOne({ id: req.params.archiveId });
+    if (!archive) {
+      return res.status(404).json({ message: 'Archived item not found' });
+    }
 
-    // Format results
-    const formattedResults = {};
+    await purgeArchive(archive);
 
-    Object.entries(results).forEach(([sectionId, sectionData]) => {
-      if (sectionData.type === 'text-input') {
-        formattedResults[sectionId] = {
-          type: sectionData.type,
-          label: sectionData.label,
-          responses: sectionData.responses
-        };
-      } else {
-        formattedResults[sectionId] = {
-          type: sectionData.type,
-          label: sectionData.label,
-          options: Object.entries(sectionData.options)
-            .map(([name, data]) => ({
-              name,
-              votes: data.votes,
-              imageUrl: data.imageUrl
-            }))
-            .sort((a, b) => b.votes - a.votes)
-        };
-      }
+    await recordAudit(req, 'archive.purge', toArchiveTarget(archive), {
+      before: { kind: archive.kind, votes: archive.voteCount },
+      after: null,
+      details: { archiveId: archive.id }
     });
 
     res.json({
-      active: votingSession.isActive,
-      title: votingSession.title,
-      company: company.name,
-      results: formattedResults,
-      totalVotes: companyVotes.length
+      success: true,
+      message: `${archive.label} permanently deleted`
     });
   } catch (error) {
-    console.error('Error getting company results:', error);
+    console.error('Error purging archive:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin API endpoints
-
-app.post('/api/admin/login', (req, res) => {
-  const { password } = req.body;
-
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ message: 'Invalid password' });
-  }
-
-  const token = crypto.randomBytes(32).toString('hex');
-  adminTokens.add(token);
-
-  res.json({ token });
-});
+// Audit log, newest first. Filters: action (exact, or a prefix such as
+// "session"), actorId, targetType, targetId, from, to. Pass the returned
+// nextBefore as ?before= to load older entries.
+app.get('/api/admin/audit-log', authenticateAdmin, requireRole('owner'), async (req, res) => {
+  try {
+    const { action, actorId, targetType, targetId, from, to, before } = req.query;
+    const limit = Math.min(Number(req.query.limit) || AUDIT_LOG_PAGE_SIZE, MAX_AUDIT_LOG_PAGE_SIZE);
+    const filter = {};
 
-app.get('/api/admin/verify', authenticateAdmin, (req, res) => {
-  res.json({ valid: true });
-});
+    if (action) {
+      filter.action = action.includes('.')
+        ? action
+        : new RegExp(`^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.`);
+    }
+    if (actorId) filter['actor.id'] = actorId;
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.id'] = targetId;
 
-app.post('/api/admin/create-company', authenticateAdmin, async (req, res) => {
-  try {
-    const { name } = req.body;
+    const range = {};
+    for (const [key, operator, value] of [['from', '$gte', from], ['to', '$lte', to], ['before', '$lt', before]]) {
+      if (!value) continue;
 
-    if (!name) {
-      return res.status(400).json({ message: 'Company name is required' });
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ message: `${key} must be a valid date` });
+      }
+      range[operator] = date;
+    }
+    if (Object.keys(range).length > 0) {
+      filter.at = range;
     }
 
-    const newCompany = new Company({
-      id: crypto.randomBytes(16).toString('hex'),
-      name
-    });
+    const entries = await AuditLog.find(filter, { _id: 0, __v: 0 })
+      .sort({ at: -1 })
+      .limit(limit + 1)
+      .lean();
 
-    await newCompany.save();
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
 
     res.json({
-      success: true,
-      message: 'Company created successfully',
-      company: newCompany
+      entries: page,
+      nextBefore: hasMore ? page[page.length - 1].at : null
     });
   } catch (error) {
-    console.error('Error creating company:', error);
+    console.error('Error getting audit log:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/admin/companies', authenticateAdmin, async (req, res) => {
+// Organizer links for one company
+app.get('/api/admin/companies/:companyId/organizer-links', authenticateAdmin, async (req, res) => {
   try {
-    const companies = await Company.find().sort({ createdAt: -1 });
-    res.json(companies);
+    const links = await OrganizerLink.find({ companyId: req.params.companyId }).sort({ createdAt: -1 });
+    res.json(links.map(toOrganizerLinkSummary));
   } catch (error) {
-    console.error('Error getting companies:', error);
+    console.error('Error getting organizer links:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.delete('/api/admin/companies/:companyId', authenticateAdmin, async (req, res) => {
+// Create an organizer link. The token is only returned here, once.
+app.post('/api/admin/companies/:companyId/organizer-links', authenticateAdmin, requireRole('manager'), async (req, res) => {
   try {
     const { companyId } = req.params;
+    const { label, expiresInDays } = req.body;
 
     const company = await Company.findOne({ id: companyId });
     if (!company) {
       return res.status(404).json({ message: 'Company not found' });
     }
 
-    await Vote.deleteMany({ companyId });
-    await Company.deleteOne({ id: companyId });
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+      return res.status(400).json({ message: 'expiresInDays must be a whole number from 1 to 365' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const link = await OrganizerLink.create({
+      id: crypto.randomBytes(8).toString('hex'),
+      companyId,
+      label: (label && label.trim()) || `${company.name} organizer`,
+      tokenHash: hashToken(token),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, 'organizer-link.create', companyTarget(company), {
+      after: { linkId: link.id, label: link.label, expiresAt: link.expiresAt || null }
+    });
 
     res.json({
       success: true,
-      message: 'Company and all related votes deleted successfully'
+      message: `Organizer link created for ${company.name}`,
+      link: toOrganizerLinkSummary(link),
+      token
     });
   } catch (error) {
-    console.error('Error deleting company:', error);
+    console.error('Error creating organizer link:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create global voting session
-app.post('/api/admin/create-voting', authenticateAdmin, async (req, res) => {
+app.delete('/api/admin/organizer-links/:linkId', authenticateAdmin, requireRole('manager'), async (req, res) => {
   try {
-    const { title, sections } = req.body;
+    const link = await OrganizerLink.findOneAndUpdate(
+      { id: req.params.linkId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
 
-    if (!title || !sections) {
-      return res.status(400).json({ message: 'Invalid voting session data' });
+    if (!link) {
+      return res.status(404).json({ message: 'Organizer link not found' });
     }
 
-    if (!Array.isArray(sections) || sections.length === 0) {
-      return res.status(400).json({ message: 'At least one section is required' });
-    }
+    const company = await Company.findOne({ id: link.companyId });
+    await recordAudit(req, 'organizer-link.revoke', company ? companyTarget(company) : { type: 'company', id: link.companyId }, {
+      before: { linkId: link.id, label: link.label, revokedAt: null },
+      after: { linkId: link.id, label: link.label, revokedAt: link.revokedAt }
+    });
 
-    // Validate sections
-    for (const section of sections) {
-      if (!section.id || !section.label || !section.type) {
-        return res.status(400).json({
-          message: 'Each section must have id, label, and type'
-        });
-      }
+    res.json({
+      success: true,
+      message: 'Organizer link revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking organizer link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      if (!['single-select', 'multi-select', 'text-input'].includes(section.type)) {
-        return res.status(400).json({
-          message: 'Invalid section type. Must be single-select, multi-select, or text-input'
-        });
-      }
+// Company organizer access: read-only and limited to the link's company
 
-      // Validate options for select types
-      if (section.type === 'single-select' || section.type === 'multi-select') {
-        if (!section.options || !Array.isArray(section.options) || section.options.length === 0) {
-          return res.status(400).json({
-            message: `Section "${section.label}" must have at least one option`
-          });
-        }
+app.get('/api/organizer/me', rateLimit('organizer'), authenticateOrganizer, async (req, res) => {
+  try {
+    const { link, company } = req.organizer;
 
-        for (const option of section.options) {
-          if (!option.name) {
-            return res.status(400).json({
-              message: `Each option in "${section.label}" must have a name`
-            });
-          }
-        }
-      }
+    const sessions = await VotingSession.find({
+      $or: [{ allCompanies: { $ne: false } }, { companyIds: company.id }]
+    }).sort({ createdAt: -1 });
 
-      // Validate multi-select min/max
-      if (section.type === 'multi-select') {
-        if (section.minSelections && section.maxSelections &&
-            section.minSelections > section.maxSelections) {
-          return res.status(400).json({
-            message: `In section "${section.label}", minSelections cannot be greater than maxSelections`
-          });
-        }
-      }
+    const summaries = [];
+    for (const session of sessions) {
+      summaries.push({
+        id: session.id,
+        title: session.title,
+        isActive: session.isActive,
+        schedule: getVotingSchedule(session),
+        sections: session.sections.length,
+        hasTextSections: session.sections.some(section => section.type === 'text-input'),
+        totalVotes: await getVoteCountByCompany(session.id, company.id)
+      });
     }
 
-    // Deactivate all previous voting sessions
-    await VotingSession.updateMany({}, { isActive: false });
-
-    const newVoting = new VotingSession({
-      id: crypto.randomBytes(16).toString('hex'),
-      title,
-      sections: sections,
-      isActive: true
-    });
-
-    await newVoting.save();
-
     res.json({
-      success: true,
-      message: 'Global voting session created successfully',
-      voting: newVoting
+      company: { id: company.id, name: company.name },
+      label: link.label,
+      expiresAt: link.expiresAt,
+      sessions: summaries
     });
   } catch (error) {
-    console.error('Error creating voting session:', error);
+    console.error('Error getting organizer overview:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/admin/current-voting', authenticateAdmin, async (req, res) => {
+app.get('/api/organizer/sessions/:votingSessionId/results', rateLimit('organizer'), authenticateOrganizer, async (req, res) => {
   try {
-    const currentVoting = await getCurrentVoting();
-
-    if (!currentVoting) {
-      return res.json({ active: false });
-    }
+    const session = await findOrganizerSession(req, res);
+    if (!session) return;
 
-    const totalVotes = await getVoteCount(currentVoting.id);
+    const { company } = req.organizer;
+    const { results, totalVotes, versions } = await buildResults(session, company.id);
 
     res.json({
-      active: true,
-      session: currentVoting,
-      totalVotes
+      active: session.isActive && getVotingStatus(session) !== 'closed',
+      title: session.title,
+      company: company.name,
+      results,
+      totalVotes,
+      versions
     });
   } catch (error) {
-    console.error('Error getting current voting:', error);
+    console.error('Error getting organizer results:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.patch('/api/admin/voting/:votingSessionId/toggle', authenticateAdmin, async (req, res) => {
+app.get('/api/organizer/sessions/:votingSessionId/timeline', rateLimit('organizer'), authenticateOrganizer, async (req, res) => {
   try {
-    const { votingSessionId } = req.params;
-
-    const session = await VotingSession.findOne({ id: votingSessionId });
-    if (!session) {
-      return res.status(404).json({ message: 'Voting session not found' });
+    const { bucketSeconds, error } = parseTimelineBucket(req.query.bucket);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    session.isActive = !session.isActive;
-    await session.save();
+    const session = await findOrganizerSession(req, res);
+    if (!session) return;
 
-    res.json({
-      success: true,
-      message: `Voting session ${session.isActive ? 'activated' : 'deactivated'}`,
-      session
-    });
+    res.json(await buildTimeline(session, { companyId: req.organizer.company.id, bucketSeconds }));
   } catch (error) {
-    console.error('Error toggling voting session:', error);
+    console.error('Error getting organizer vote timeline:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/admin/reset-voting/:votingSessionId', authenticateAdmin, async (req, res) => {
+app.get('/api/organizer/sessions/:votingSessionId/responses/:sectionId', rateLimit('organizer'), authenticateOrganizer, async (req, res) => {
   try {
-    const { votingSessionId } = req.params;
+    const session = await findOrganizerSession(req, res);
+    if (!session) return;
 
-    const session = await VotingSession.findOne({ id: votingSessionId });
-    if (!session) {
-      return res.status(404).json({ message: 'Voting session not found' });
-    }
+    await sendTextResponses(req, res, session, req.organizer.company.id);
+  } catch (error) {
+    console.error('Error getting organizer text responses:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const result = await Vote.deleteMany({ votingSessionId });
+app.get('/api/organizer/sessions/:votingSessionId/stream', rateLimit('organizer'), authenticateOrganizer, async (req, res) => {
+  try {
+    const session = await findOrganizerSession(req, res);
+    if (!session) return;
 
-    res.json({
-      success: true,
-      message: 'Voting session reset successfully',
-      deletedVotes: result.deletedCount
-    });
+    openResultsStream(req, res, { votingSessionId: session.id, companyId: req.organizer.company.id });
   } catch (error) {
-    console.error('Error resetting voting session:', error);
+    console.error('Error opening organizer results stream:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/admin/stats', authenticateAdmin, async (req, res) => {
+// Results, ballot and text-response exports, scoped to the organizer's company
+app.get('/api/organizer/sessions/:votingSessionId/export/:kind', rateLimit('organizer'), authenticateOrganizer, async (req, res) => {
   try {
-    const companies = await Company.find();
-    const currentVoting = await getCurrentVoting();
-    const stats = [];
+    const { kind } = req.params;
+    const format = req.query.format || 'csv';
 
-    if (!currentVoting) {
-      return res.json([]);
+    if (!['results', 'ballots', 'text'].includes(kind)) {
+      return res.status(404).json({ message: 'Unknown export' });
     }
 
-    for (const company of companies) {
-      const companyVotes = await Vote.countDocuments({
-        votingSessionId: currentVoting.id,
-        companyId: company.id
-      });
-
-      stats.push({
-        company: {
-          id: company.id,
-          name: company.name,
-          createdAt: company.createdAt
-        },
-        votes: companyVotes
-      });
+    const formats = kind === 'text' ? ['csv'] : EXPORT_FORMATS;
+    if (!formats.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${formats.join(', ')}` });
     }
 
-    const totalVotes = await Vote.countDocuments({ votingSessionId: currentVoting.id });
+    const session = await findOrganizerSession(req, res);
+    if (!session) return;
 
-    res.json({
-      currentSession: currentVoting,
-      totalVotes,
-      companies: stats
+    const companyId = req.organizer.company.id;
+
+    await recordAudit(req, `export.${kind}`, sessionTarget(session), {
+      details: { format, companyId }
     });
+
+    if (kind === 'results') {
+      await streamResultsExport(res, session, format, companyId);
+    } else if (kind === 'ballots') {
+      await streamBallotsExport(res, session, format, companyId, { approvedOnly: true });
+    } else if (!session.sections.some(section => section.type === 'text-input')) {
+      return res.status(400).json({ message: 'This session has no text-input sections' });
+    } else {
+      await streamTextExport(res, session, companyId, { approvedOnly: true });
+    }
   } catch (error) {
-    console.error('Error getting all stats:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error exporting organizer data:', error);
+    endFailedExport(res, error);
   }
 });
 
@@ -772,10 +8095,16 @@ app.get('/health', async (req, res) => {
 
 async function startServer() {
   await connectDB();
+  await backfillCompanyNameKeys();
+  // Drops the counter index from before tally generations
+  await Tally.syncIndexes();
+  await ensureOwnerAccount();
+
+  setInterval(purgeExpiredArchives, ARCHIVE_PURGE_INTERVAL_MS).unref();
+  purgeExpiredArchives();
 
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🔐 Admin password: ${ADMIN_PASSWORD}`);
     console.log(`📊 MongoDB: ${MONGODB_URI}`);
   });
 }